@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Bakes terrain chunks to tiles the app can stream (see src/components/TileFormat.js).
+//
+//   terrain-gen --seed 42 --region -10,-10,10,10 --out tiles/
+//
+// Runs the same chunk builder as the terrain world's workers, one chunk at a time.
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { join, basename } from 'node:path'
+import { parseArgs } from 'node:util'
+import { buildChunkData, CHUNK_SEGMENTS } from '../src/components/ChunkBuilder.js'
+import { encodeTile, createTileManifest, getTilePath, TILE_MANIFEST_FILE } from '../src/components/TileFormat.js'
+import { parseHeightmap } from '../src/components/Heightmap.js'
+import { DEFAULT_EROSION } from '../src/components/Erosion.js'
+import { hashSeed } from '../src/components/Random.js'
+import { WATER_LEVEL } from '../src/components/Water.js'
+
+const USAGE = `Usage: terrain-gen --seed <seed> --region <minX,minZ,maxX,maxZ> --out <dir> [options]
+
+  --seed <seed>             World seed (number or any string, as ?seed= in the app)
+  --region <x0,z0,x1,z1>    Chunk coordinates to bake, inclusive
+  --out <dir>               Output directory for ${TILE_MANIFEST_FILE} and tiles
+  --lods <list>             Segments per chunk to bake (default ${[1, 2, 4, 8].map((d) => CHUNK_SEGMENTS / d).join(',')})
+  --water-level <m>         Sea level (default ${WATER_LEVEL})
+  --no-erosion              Skip hydraulic/thermal erosion
+  --no-rivers               Skip river carving
+  --no-scatter              Skip trees and rocks
+  --heightmap <file>        Imported heightmap (PNG, or raw Float32 with --heightmap-size)
+  --heightmap-size <WxH>    Raw heightmap size
+  --heightmap-scale <m>     Metres per heightmap pixel
+  --heightmap-range <a,b>   Height range the image maps to
+  --heightmap-center <x,z>  World position of the heightmap's centre
+  --heightmap-mode <mode>   blend (default) or replace
+  -h, --help                Show this help`
+
+const numbers = (value, count, name) => {
+  const list = value.split(/[,x]/).map(Number)
+  if (list.some((n) => !Number.isFinite(n)) || (count && list.length !== count)) {
+    throw new Error(`--${name} expects ${count || 'a list of'} numbers, got "${value}"`)
+  }
+  return list
+}
+
+async function loadHeightmapFile(values) {
+  if (!values.heightmap) return null
+  const file = await readFile(values.heightmap)
+  const options = {
+    format: /\.(raw|f32|bin)$/i.test(values.heightmap) ? 'raw' : 'png',
+    mode: values['heightmap-mode'] || 'blend'
+  }
+  if (values['heightmap-size']) [options.width, options.height] = numbers(values['heightmap-size'], 2, 'heightmap-size')
+  if (values['heightmap-scale']) options.worldScale = numbers(values['heightmap-scale'], 1, 'heightmap-scale')[0]
+  if (values['heightmap-range']) options.heightRange = numbers(values['heightmap-range'], 2, 'heightmap-range')
+  if (values['heightmap-center']) options.center = numbers(values['heightmap-center'], 2, 'heightmap-center')
+  const heightmap = await parseHeightmap(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength), options)
+  return { heightmap, info: { file: basename(values.heightmap), ...options } }
+}
+
+// parseArgs won't take "--region -10,-10,10,10" (the value looks like a
+// flag), so glue negative numbers onto the option before them
+const joinNegativeValues = (args) => args.reduce((out, arg) => {
+  const last = out[out.length - 1]
+  if (/^-\d/.test(arg) && last && last.startsWith('--') && !last.includes('=')) out[out.length - 1] = `${last}=${arg}`
+  else out.push(arg)
+  return out
+}, [])
+
+async function main() {
+  const { values } = parseArgs({
+    args: joinNegativeValues(process.argv.slice(2)),
+    options: {
+      seed: { type: 'string' },
+      region: { type: 'string' },
+      out: { type: 'string' },
+      lods: { type: 'string' },
+      'water-level': { type: 'string' },
+      'no-erosion': { type: 'boolean' },
+      'no-rivers': { type: 'boolean' },
+      'no-scatter': { type: 'boolean' },
+      heightmap: { type: 'string' },
+      'heightmap-size': { type: 'string' },
+      'heightmap-scale': { type: 'string' },
+      'heightmap-range': { type: 'string' },
+      'heightmap-center': { type: 'string' },
+      'heightmap-mode': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  })
+  if (values.help) {
+    console.log(USAGE)
+    return
+  }
+  if (values.seed === undefined || !values.region || !values.out) {
+    throw new Error(`--seed, --region and --out are required\n\n${USAGE}`)
+  }
+
+  // Same seed parsing as getWorldSeed, so --seed 42 bakes the world ?seed=42 shows
+  const seed = hashSeed(/^\d+$/.test(values.seed) ? Number(values.seed) : values.seed)
+  const [minX, minZ, maxX, maxZ] = numbers(values.region, 4, 'region')
+  const lods = values.lods ? numbers(values.lods, 0, 'lods') : [1, 2, 4, 8].map((d) => CHUNK_SEGMENTS / d)
+  const waterLevel = values['water-level'] === undefined ? WATER_LEVEL : numbers(values['water-level'], 1, 'water-level')[0]
+  const erosion = values['no-erosion'] ? null : DEFAULT_EROSION
+  const rivers = !values['no-rivers']
+  const scatter = !values['no-scatter']
+  const imported = await loadHeightmapFile(values)
+
+  const chunks = []
+  for (let chunkZ = Math.min(minZ, maxZ); chunkZ <= Math.max(minZ, maxZ); chunkZ++) {
+    for (let chunkX = Math.min(minX, maxX); chunkX <= Math.max(minX, maxX); chunkX++) chunks.push([chunkX, chunkZ])
+  }
+  await Promise.all(lods.map((segments) => mkdir(join(values.out, String(segments)), { recursive: true })))
+
+  const total = chunks.length * lods.length
+  const started = Date.now()
+  let done = 0
+  let bytes = 0
+  for (const [chunkX, chunkZ] of chunks) {
+    for (const segments of lods) {
+      const data = buildChunkData({
+        chunkX,
+        chunkZ,
+        seed,
+        segments,
+        waterLevel,
+        erosion,
+        rivers,
+        scatter,
+        heightmap: imported && imported.heightmap
+      })
+      const tile = encodeTile(data)
+      await writeFile(join(values.out, getTilePath(segments, chunkX, chunkZ)), tile)
+      bytes += tile.length
+      done++
+    }
+    process.stderr.write(`\r${done}/${total} tiles, ${(bytes / 1048576).toFixed(1)} MB, ${((Date.now() - started) / 1000).toFixed(0)}s`)
+  }
+  process.stderr.write('\n')
+
+  // Written last, so a half-finished run never looks complete
+  const manifest = createTileManifest({
+    seed,
+    waterLevel,
+    erosion,
+    rivers,
+    scatter,
+    heightmap: imported && imported.info,
+    lods,
+    chunks: chunks.map(([chunkX, chunkZ]) => `${chunkX},${chunkZ}`)
+  })
+  await writeFile(join(values.out, TILE_MANIFEST_FILE), JSON.stringify(manifest, null, 2))
+  console.log(`Wrote ${total} tiles for ${chunks.length} chunks to ${values.out}`)
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
@@ -1,207 +1,191 @@
-import { useEffect, useRef, useState, useCallback } from 'react'
-import * as THREE from 'three'
-import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js'
-import { createNoise2D } from 'simplex-noise'
-import Player from './components/Player'
-import ChunkedTerrain from './components/ChunkedTerrain.jsx'
+import { useEffect, useState, useCallback } from 'react'
+import { Canvas } from '@react-three/fiber'
+import { Terrain, TerrainChunks, Player, TerrainBrush, TerrainAutosave, Sky } from './components/fiber/index.js'
+import ExportMenu from './components/ExportMenu.jsx'
+import SaveMenu from './components/SaveMenu.jsx'
+import { getWorldSeed, getSeedFromUrl, setSeedInUrl } from './components/Random.js'
+import { WATER_LEVEL } from './components/Water.js'
+import { DEFAULT_EROSION } from './components/Erosion.js'
+import { getHeightmapOptionsFromUrl, loadHeightmap } from './components/Heightmap.js'
+import { loadTileSource } from './components/TileFormat.js'
+import { DEFAULT_SKY, getSkyOptionsFromUrl } from './components/Sky.js'
+import { createSave, loadAutosave } from './components/WorldSave.js'
+
+const CAMERA = { fov: 75, near: 0.1, far: 1000, position: [50, 40, 50] }
+const GL = { antialias: true, powerPreference: 'high-performance' }
+// ?time= and ?timeScale= set the clock, e.g. for dawn, dusk or night scenes
+const SKY_OPTIONS = getSkyOptionsFromUrl()
+// Fog pushed back so the orbit overview sees all the loaded chunks
+const OVERVIEW_FOG = { fogNear: 1500, fogFar: 5000 }
+const CAMERA_MODE_NAMES = { firstPerson: 'first person', thirdPerson: 'third person', freeFly: 'free fly', orbit: 'orbit' }
+// ?new starts a new world instead of carrying on from the autosave
+const NEW_WORLD_PARAM = 'new'
+// ?erosion turns on hydraulic erosion for new worlds; it's off by default
+// because it makes every chunk slower to build
+const EROSION_PARAM = 'erosion'
+let worldCount = 0
+
+// The autosave carries on unless the URL asks for a different world
+function isWorldInUrl(save) {
+  const params = new URLSearchParams(window.location.search)
+  const seed = getSeedFromUrl()
+  const heightmap = getHeightmapOptionsFromUrl()
+  return (seed === null || seed === save.world.seed) &&
+    (!params.get('tiles') || params.get('tiles') === save.world.tiles) &&
+    (!params.has(EROSION_PARAM) || !!save.world.erosion) &&
+    (!heightmap || (!!save.world.heightmap && heightmap.url === save.world.heightmap.url))
+}
+
+// Pre-baked tiles and an imported heightmap have to load first so the chunks
+// and the player all see the same heights: the ones a save was made with, or
+// the ones the URL asks for (?tiles=, ?heightmap=).
+async function loadWorldSettings(save) {
+  const params = new URLSearchParams(window.location.search)
+  const tilesUrl = save ? save.world.tiles : params.get('tiles')
+  const heightmapOptions = save ? save.world.heightmap : getHeightmapOptionsFromUrl()
+  const [tiles, heightmap] = await Promise.all([
+    tilesUrl && loadTileSource(tilesUrl).catch((error) => {
+      console.error('Error loading terrain tiles:', error)
+      return null
+    }),
+    heightmapOptions && loadHeightmap(heightmapOptions).catch((error) => {
+      console.error('Error loading heightmap:', error)
+      return null
+    })
+  ])
+
+  let world
+  if (save) {
+    world = save.world
+    if (!tiles) setSeedInUrl(world.seed)
+  } else if (tiles) {
+    // Baked tiles bring the seed and settings they were made with
+    world = { seed: tiles.manifest.seed, waterLevel: tiles.manifest.waterLevel, erosion: tiles.manifest.erosion }
+  } else {
+    // World seed drives every noise field and random scatter, so worlds are reproducible
+    world = { seed: getWorldSeed(), waterLevel: WATER_LEVEL, erosion: params.has(EROSION_PARAM) ? DEFAULT_EROSION : null }
+  }
+  return {
+    id: ++worldCount,
+    seed: world.seed,
+    waterLevel: world.waterLevel,
+    erosion: world.erosion,
+    heightmap,
+    tiles,
+    // What saves need to make the world again, see createSave
+    source: { erosion: world.erosion, heightmap: heightmapOptions || null, tiles: tilesUrl || null },
+    save
+  }
+}
 
 function App() {
-  const containerRef = useRef(null)
-  const sceneRef = useRef(null)
-  const rendererRef = useRef(null)
-  const cameraRef = useRef(null)
-  const animationFrameRef = useRef(null)
-  const noise2DRef = useRef(null)
-  const terrainSizeRef = useRef(200)
-  const materialUniformsRef = useRef(null)
-  const playerPositionRef = useRef(new THREE.Vector3(0, 0, 0))
-  const [isReady, setIsReady] = useState(false)
+  // { id, seed, waterLevel, erosion, heightmap, tiles, source, save } once everything the world needs has loaded
+  const [settings, setSettings] = useState(null)
   const [isSprinting, setIsSprinting] = useState(false)
-  const handlePlayerPositionUpdate = useCallback((pos) => {
-    playerPositionRef.current.copy(pos)
-  }, [])
+  // { enabled, tool, layer, radius } of the sculpting brush
+  const [brush, setBrush] = useState(null)
+  const [cameraMode, setCameraMode] = useState('firstPerson')
+  // The TerrainWorld <Terrain> runs, for the export menu outside the Canvas
+  const [world, setWorld] = useState(null)
   const handleSprintStateChange = useCallback((sprinting) => {
     setIsSprinting(sprinting)
   }, [])
-  const handleMaterialUniformsReady = useCallback((uniforms) => {
-    materialUniformsRef.current = uniforms
+  const getLoadedChunks = useCallback(() => (world ? world.getLoadedChunks() : []), [world])
+  const getSave = useCallback(() => (world && settings ? createSave(world, settings.source) : null), [world, settings])
+  // An imported save replaces the world, and becomes the autosave on its first tick
+  const handleLoadSave = useCallback((save) => {
+    loadWorldSettings(save).then(setSettings)
+  }, [])
+  const handleNewWorld = useCallback(() => {
+    window.location.assign(`${window.location.pathname}?${NEW_WORLD_PARAM}`)
   }, [])
 
   useEffect(() => {
-    if (!containerRef.current) return
-
-    const width = containerRef.current.clientWidth
-    const height = containerRef.current.clientHeight
-
-    // Create scene
-    const scene = new THREE.Scene()
-    sceneRef.current = scene
-    
-    // Add distance fog for atmospheric depth
-    const fogColor = new THREE.Color(0xD6DFE5)
-    scene.fog = new THREE.Fog(fogColor, 20, 200)
-
-    // Create camera
-    const camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000)
-    camera.position.set(50, 40, 50)
-    camera.lookAt(0, 0, 0)
-    cameraRef.current = camera
-
-    // Create renderer with improved settings
-    const renderer = new THREE.WebGLRenderer({ 
-      antialias: true,
-      powerPreference: "high-performance"
-    })
-    renderer.setSize(width, height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-    renderer.shadowMap.enabled = true
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap
-    renderer.toneMapping = THREE.ACESFilmicToneMapping
-    renderer.toneMappingExposure = 1.2
-    renderer.outputColorSpace = THREE.SRGBColorSpace
-    renderer.setClearColor(fogColor)
-    containerRef.current.appendChild(renderer.domElement)
-    rendererRef.current = renderer
-
-    // Load realistic HDR skybox
-    const rgbeLoader = new RGBELoader()
-    rgbeLoader.load('/skybox.hdr', (texture) => {
-      // Set texture mapping for equirectangular projection
-      texture.mapping = THREE.EquirectangularReflectionMapping
-      
-      // Set as scene background and environment
-      scene.background = texture
-      scene.environment = texture
-      
-      // Adjust tone mapping exposure for HDR
-      renderer.toneMappingExposure = 1.0
-    }, undefined, (error) => {
-      console.error('Error loading skybox:', error)
-      // Fallback to solid sky color if HDR fails
-      scene.background = new THREE.Color(0x87ceeb)
-      scene.environment = null
-    })
-
-    // Add realistic lighting setup
-    // Hemisphere light for sky/ground ambient lighting
-    const hemisphereLight = new THREE.HemisphereLight(
-      0x87ceeb, // Sky color
-      0x8b7355, // Ground color (brownish)
-      0.4 // Intensity
-    )
-    scene.add(hemisphereLight)
-
-    // Ambient light for overall illumination
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.3)
-    scene.add(ambientLight)
-
-    // Main directional light (sun)
-    const sunLight = new THREE.DirectionalLight(0xfff4e6, 1.2) // Warm sunlight
-    sunLight.position.set(100, 150, 50)
-    sunLight.castShadow = true
-    
-    // Configure shadow camera for better coverage
-    sunLight.shadow.camera.left = -150
-    sunLight.shadow.camera.right = 150
-    sunLight.shadow.camera.top = 150
-    sunLight.shadow.camera.bottom = -150
-    sunLight.shadow.camera.near = 0.5
-    sunLight.shadow.camera.far = 500
-    sunLight.shadow.mapSize.width = 4096
-    sunLight.shadow.mapSize.height = 4096
-    sunLight.shadow.bias = -0.0001
-    sunLight.shadow.normalBias = 0.02
-    scene.add(sunLight)
-
-    // Add a second directional light from opposite side for fill lighting
-    const fillLight = new THREE.DirectionalLight(0x87ceeb, 0.3) // Cool blue fill
-    fillLight.position.set(-50, 50, -50)
-    scene.add(fillLight)
-
-    // Generate noise for terrain
-    const terrainSize = 200
-    terrainSizeRef.current = terrainSize
-    const noise2D = createNoise2D()
-    noise2DRef.current = noise2D
-
-    // Mark as ready for Player component
-    setIsReady(true)
-
-    // Handle window resize
-    const handleResize = () => {
-      if (!containerRef.current) return
-      const newWidth = containerRef.current.clientWidth
-      const newHeight = containerRef.current.clientHeight
-
-      camera.aspect = newWidth / newHeight
-      camera.updateProjectionMatrix()
-      renderer.setSize(newWidth, newHeight)
+    let cancelled = false
+    const params = new URLSearchParams(window.location.search)
+    const isNewWorld = params.has(NEW_WORLD_PARAM)
+    if (isNewWorld) {
+      // Only this load starts over; reloading carries on from the new world's autosave
+      params.delete(NEW_WORLD_PARAM)
+      const query = params.toString()
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`)
     }
-    window.addEventListener('resize', handleResize)
-
-    // Animation loop
-    const animate = () => {
-      animationFrameRef.current = requestAnimationFrame(animate)
-      // Update camera position uniform for shader
-      if (materialUniformsRef.current) {
-        materialUniformsRef.current.uCameraPosition.value.copy(camera.position)
-      }
-      renderer.render(scene, camera)
-    }
-    animate()
-
-    // Cleanup
+    const autosave = isNewWorld
+      ? Promise.resolve(null)
+      : loadAutosave().catch((error) => {
+        console.error('Error loading autosave:', error)
+        return null
+      })
+    autosave
+      .then((save) => loadWorldSettings(save && isWorldInUrl(save) ? save : null))
+      .then((next) => {
+        if (!cancelled) setSettings(next)
+      })
     return () => {
-      window.removeEventListener('resize', handleResize)
-      
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current)
-      }
-      
-      if (containerRef.current && renderer.domElement) {
-        containerRef.current.removeChild(renderer.domElement)
-      }
-      
-      // Cleanup environment texture
-      if (scene.background && scene.background.isTexture) {
-        scene.background.dispose()
-      }
-      if (scene.environment && scene.environment.isTexture) {
-        scene.environment.dispose()
-      }
-      
-      renderer.dispose()
+      cancelled = true
     }
   }, [])
 
   return (
     <>
-      <div ref={containerRef} className="w-screen h-screen m-0 p-0 cursor-crosshair" />
+      <div className="w-screen h-screen m-0 p-0 cursor-crosshair">
+        <Canvas shadows dpr={[1, 2]} gl={GL} camera={CAMERA}>
+          <Sky
+            {...SKY_OPTIONS}
+            {...(cameraMode === 'orbit' ? OVERVIEW_FOG : { fogNear: DEFAULT_SKY.fogNear, fogFar: DEFAULT_SKY.fogFar })}
+          />
+          {settings && (
+            <Terrain
+              key={settings.id}
+              seed={settings.seed}
+              waterLevel={settings.waterLevel}
+              erosion={settings.erosion}
+              heightmap={settings.heightmap}
+              tiles={settings.tiles}
+              edits={settings.save ? settings.save.edits : null}
+              onWorldReady={setWorld}
+            >
+              <TerrainChunks />
+              <Player
+                restore={settings.save ? settings.save.player : null}
+                onSprintStateChange={handleSprintStateChange}
+                mode={cameraMode}
+                onModeChange={setCameraMode}
+              />
+              <TerrainBrush onBrushChange={setBrush} />
+              <TerrainAutosave source={settings.source} />
+            </Terrain>
+          )}
+        </Canvas>
+      </div>
       {isSprinting && (
         <div className="absolute top-4 left-4 text-white text-xl drop-shadow-lg z-10 pointer-events-none">Sprinting</div>
       )}
-      {isReady && sceneRef.current && cameraRef.current && rendererRef.current && noise2DRef.current && (
+      {cameraMode !== 'firstPerson' && (
+        <div className="absolute top-12 left-4 text-white text-sm font-mono drop-shadow-lg z-10 pointer-events-none">
+          Camera: {CAMERA_MODE_NAMES[cameraMode]} (V to switch)
+        </div>
+      )}
+      {brush && brush.enabled && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 text-white text-sm font-mono drop-shadow-lg z-10 pointer-events-none">
+          Brush: {brush.tool === 'paint' ? `paint ${brush.layer}` : brush.tool} ({brush.radius} m)
+        </div>
+      )}
+      {settings && (
         <>
-          <ChunkedTerrain 
-            scene={sceneRef.current} 
-            camera={cameraRef.current} 
-            noise2D={noise2DRef.current} 
-            playerPosition={playerPositionRef.current}
-            onMaterialUniformsReady={handleMaterialUniformsReady} 
-          />
-          <Player 
-            scene={sceneRef.current} 
-            camera={cameraRef.current} 
-            renderer={rendererRef.current} 
-            terrainSize={terrainSizeRef.current} 
-            noise2D={noise2DRef.current}
-            onPositionUpdate={handlePlayerPositionUpdate}
-            onSprintStateChange={handleSprintStateChange}
+          <div className="absolute bottom-4 left-4 text-white text-sm font-mono drop-shadow-lg z-10 pointer-events-none">Seed: {settings.seed}</div>
+          <ExportMenu
+            seed={settings.seed}
+            heightmap={settings.heightmap}
+            waterLevel={settings.waterLevel}
+            erosion={settings.erosion}
+            getLoadedChunks={getLoadedChunks}
           />
+          <SaveMenu getSave={getSave} onLoad={handleLoadSave} onNewWorld={handleNewWorld} />
         </>
       )}
     </>
   )
 }
 
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,380 @@
+import * as THREE from 'three'
+import { createSeededNoise2D } from './Random.js'
+
+const BASE_WALK_SHAKE = 0.35
+const TRAUMA_DECAY_RATE = 0.8
+const MOUSE_SENSITIVITY = 0.002
+const MAX_PITCH = Math.PI / 2 - 0.05
+// Each wheel notch scales distances and fly speed by this much
+const WHEEL_ZOOM_FACTOR = 1.15
+
+export const CAMERA_MODES = ['firstPerson', 'thirdPerson', 'freeFly', 'orbit']
+
+// Behind the player's head, pulled in where the ground is in the way (m)
+const THIRD_PERSON = { distance: 6, minDistance: 1.5, maxDistance: 25, clearance: 0.4 }
+// Noclip flying speed (m/s), R to go faster
+const FREE_FLY = { speed: 20, minSpeed: 2, maxSpeed: 800, sprintFactor: 4 }
+// Looking down at a point on the ground from far away; elevation in radians,
+// up to straight down for a top-down view
+const ORBIT = {
+  distance: 600,
+  minDistance: 30,
+  maxDistance: 2500,
+  elevation: 0.9,
+  minElevation: 0.1,
+  maxElevation: Math.PI / 2 - 0.001,
+  // Panning speed as a fraction of the distance, per second
+  panRate: 0.6
+}
+
+// Capsule standing in for the player when the camera isn't behind its eyes
+function createAvatar(eyeHeight, radius) {
+  const height = eyeHeight + 0.1
+  const body = new THREE.Mesh(
+    new THREE.CapsuleGeometry(radius, height - radius * 2, 4, 12).translate(0, height / 2, 0),
+    new THREE.MeshStandardMaterial({ color: 0x3a6ea5, roughness: 0.7 })
+  )
+  // A visor on the face shows which way the player looks
+  const visor = new THREE.Mesh(
+    new THREE.BoxGeometry(radius * 1.2, 0.15, 0.1).translate(0, eyeHeight - 0.05, -radius),
+    new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.3 })
+  )
+  const avatar = new THREE.Group()
+  avatar.name = 'playerAvatar'
+  avatar.add(body, visor)
+  avatar.traverse((object) => {
+    object.castShadow = true
+    object.receiveShadow = true
+  })
+  avatar.visible = false
+  return avatar
+}
+
+// Direction a camera looks with the given yaw and pitch (rotation order YXZ)
+const setLookDirection = (target, yaw, pitch) => target.set(
+  -Math.sin(yaw) * Math.cos(pitch),
+  Math.sin(pitch),
+  -Math.cos(yaw) * Math.cos(pitch)
+)
+
+// Keyboard/mouse input and camera for the player a TerrainWorld simulates,
+// in one of CAMERA_MODES (V cycles them):
+//   firstPerson  the player's eyes, with trauma-based shake from walking,
+//                jumping and landing
+//   thirdPerson  behind the player, who shows as an avatar; the wheel zooms
+//   freeFly      noclip camera: WASD along the view, Space/E up, Q/Shift
+//                down, R faster, the wheel sets the speed
+//   orbit        overview of the loaded chunks around a point on the ground:
+//                the mouse orbits, WASD pans, the wheel zooms, T looks
+//                straight down
+// In the player modes WASD/arrows move, Space jumps and R sprints while
+// held. Clicking the canvas locks the pointer for mouse look. Chunks stream
+// around the player, the flying camera or the orbit point, whichever is in use;
+// the player waits where it was while the camera is away.
+export function createCameraControls({
+  world,
+  camera,
+  scene,
+  domElement,
+  mode: initialMode = 'firstPerson',
+  // Where the player drops in
+  spawn = { x: 0, z: 0 },
+  // Player tuning overrides, see DEFAULT_PLAYER_TUNING
+  tuning = {},
+  // Saved { state, look } to pick up from instead of spawning, e.g. from a save
+  restore = null,
+  onSprintStateChange,
+  onModeChange
+}) {
+  if (!CAMERA_MODES.includes(initialMode)) throw new Error(`Unknown camera mode "${initialMode}"`)
+  const noise2D = createSeededNoise2D(world.seed)
+  const keys = {}
+  let mode = initialMode
+  let pointerLocked = false
+  let isSprinting = false
+  // Camera shake state (trauma-based, driven by movement/jumps)
+  let trauma = 0
+
+  camera.rotation.order = 'YXZ'
+  const baseFar = camera.far
+
+  // The world drops the player onto the ground (or the water)
+  const player = world.spawnPlayer({ x: spawn.x, z: spawn.z, tuning, ...restore })
+  // Yaw and pitch live on the player, so saves can keep them
+  const { look } = player
+  const playerPos = player.getPosition(new THREE.Vector3())
+  camera.position.copy(playerPos)
+
+  const avatar = createAvatar(player.tuning.eyeHeight, player.tuning.radius)
+  scene.add(avatar)
+
+  const thirdPerson = { distance: THIRD_PERSON.distance }
+  const fly = { position: new THREE.Vector3(), yaw: 0, pitch: 0, speed: FREE_FLY.speed }
+  const orbit = { target: new THREE.Vector3(), yaw: 0, elevation: ORBIT.elevation, distance: ORBIT.distance }
+  const direction = new THREE.Vector3()
+  const right = new THREE.Vector3()
+  const up = new THREE.Vector3(0, 1, 0)
+
+  const controlsPlayer = () => mode === 'firstPerson' || mode === 'thirdPerson'
+
+  const setSprinting = (sprinting) => {
+    if (sprinting === isSprinting) return
+    isSprinting = sprinting
+    if (onSprintStateChange) onSprintStateChange(sprinting)
+  }
+
+  const sendInput = () => {
+    // The player stands still while the camera is off on its own
+    if (!controlsPlayer()) {
+      player.setInput({ moveX: 0, moveZ: 0, sprint: false, jump: false })
+      return
+    }
+    let moveX = 0
+    let moveZ = 0
+    if (keys['KeyW'] || keys['ArrowUp']) moveZ -= 1
+    if (keys['KeyS'] || keys['ArrowDown']) moveZ += 1
+    if (keys['KeyA'] || keys['ArrowLeft']) moveX -= 1
+    if (keys['KeyD'] || keys['ArrowRight']) moveX += 1
+    player.setInput({ moveX, moveZ, sprint: isSprinting, jump: !!keys['Space'] })
+  }
+
+  const setMode = (next) => {
+    if (!CAMERA_MODES.includes(next)) throw new Error(`Unknown camera mode "${next}"`)
+    if (next === mode) return
+    mode = next
+    // Fly on from where the camera is, or look down on the ground it was over
+    if (mode === 'freeFly') {
+      fly.position.copy(camera.position)
+      fly.yaw = camera.rotation.y
+      fly.pitch = camera.rotation.x
+    } else if (mode === 'orbit') {
+      const { x, z } = camera.position
+      orbit.target.set(x, Math.max(world.terrainQuery.heightAt(x, z), world.waterLevel), z)
+      orbit.yaw = camera.rotation.y
+    }
+    camera.far = mode === 'orbit' ? Math.max(baseFar, ORBIT.maxDistance * 2) : baseFar
+    camera.updateProjectionMatrix()
+    avatar.visible = mode !== 'firstPerson'
+    // Streaming follows the player again unless the camera has its own focus
+    if (controlsPlayer()) world.setFocus(null)
+    sendInput()
+    if (onModeChange) onModeChange(mode)
+  }
+
+  const handleKeyDown = (event) => {
+    keys[event.code] = true
+    if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(event.code)) {
+      event.preventDefault()
+    }
+    if (event.code === 'KeyR') setSprinting(true)
+    if (event.code === 'KeyV' && !event.repeat) {
+      setMode(CAMERA_MODES[(CAMERA_MODES.indexOf(mode) + 1) % CAMERA_MODES.length])
+    }
+    if (event.code === 'KeyT' && !event.repeat && mode === 'orbit') orbit.elevation = ORBIT.maxElevation
+    sendInput()
+  }
+
+  const handleKeyUp = (event) => {
+    keys[event.code] = false
+    if (event.code === 'KeyR') setSprinting(false)
+    sendInput()
+  }
+
+  const onPointerLockChange = () => {
+    pointerLocked = document.pointerLockElement === domElement
+  }
+
+  const onMouseMove = (event) => {
+    if (!pointerLocked) return
+    const dx = (event.movementX || 0) * MOUSE_SENSITIVITY
+    const dy = (event.movementY || 0) * MOUSE_SENSITIVITY
+    if (mode === 'freeFly') {
+      fly.yaw -= dx
+      fly.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, fly.pitch - dy))
+    } else if (mode === 'orbit') {
+      orbit.yaw -= dx
+      orbit.elevation = Math.max(ORBIT.minElevation, Math.min(ORBIT.maxElevation, orbit.elevation + dy))
+    } else {
+      player.setLook({
+        yaw: look.yaw - dx,
+        pitch: Math.max(-MAX_PITCH, Math.min(MAX_PITCH, look.pitch - dy))
+      })
+    }
+  }
+
+  const onWheel = (event) => {
+    const zoom = event.deltaY > 0 ? WHEEL_ZOOM_FACTOR : 1 / WHEEL_ZOOM_FACTOR
+    if (mode === 'thirdPerson') {
+      thirdPerson.distance = Math.max(THIRD_PERSON.minDistance, Math.min(THIRD_PERSON.maxDistance, thirdPerson.distance * zoom))
+    } else if (mode === 'freeFly') {
+      // Scrolling up flies faster
+      fly.speed = Math.max(FREE_FLY.minSpeed, Math.min(FREE_FLY.maxSpeed, fly.speed / zoom))
+    } else if (mode === 'orbit') {
+      orbit.distance = Math.max(ORBIT.minDistance, Math.min(ORBIT.maxDistance, orbit.distance * zoom))
+    }
+  }
+
+  const onClick = () => {
+    domElement.focus()
+    domElement.requestPointerLock()
+  }
+
+  const focusCanvas = () => domElement.focus()
+
+  window.addEventListener('keydown', handleKeyDown)
+  window.addEventListener('keyup', handleKeyUp)
+  window.addEventListener('click', focusCanvas)
+  domElement.addEventListener('keydown', handleKeyDown)
+  domElement.addEventListener('keyup', handleKeyUp)
+  domElement.addEventListener('click', onClick)
+  domElement.addEventListener('wheel', onWheel, { passive: true })
+  document.addEventListener('pointerlockchange', onPointerLockChange)
+  document.addEventListener('mousemove', onMouseMove)
+  domElement.setAttribute('tabindex', '0')
+  domElement.focus()
+
+  const placeFirstPerson = (dt, time) => {
+    const { state, input } = player
+
+    // Walking into a slope that's too steep doesn't count as moving
+    const isMoving = (input.moveX !== 0 || input.moveZ !== 0) &&
+      (state.position.x !== state.previousPosition.x || state.position.z !== state.previousPosition.z)
+
+    // Decay trauma over time so shake eases out smoothly
+    trauma = Math.max(0, trauma - TRAUMA_DECAY_RATE * dt)
+    const baseMovementShake = (isMoving && state.isGrounded) ? BASE_WALK_SHAKE : 0
+    const shakeTrauma = Math.max(baseMovementShake, trauma)
+    const shake = shakeTrauma * shakeTrauma // use squared trauma for nicer falloff
+
+    camera.position.copy(playerPos)
+    camera.rotation.set(look.pitch, look.yaw, 0)
+    if (shake > 0) {
+      const noiseTime = time * 4.0
+      const shakeAt = (offset) => (noise2D(noiseTime, offset) * 2 - 1) * shake
+
+      // Positional shake (meters)
+      const maxPosShake = 0.18
+      camera.position.x += shakeAt(0.0) * maxPosShake
+      camera.position.y += shakeAt(11.17) * maxPosShake
+      camera.position.z += shakeAt(23.41) * maxPosShake
+
+      // Rotational shake (radians)
+      const maxRotShake = 0.03
+      camera.rotation.y += shakeAt(37.99) * maxRotShake
+      camera.rotation.x += shakeAt(53.31) * maxRotShake
+      camera.rotation.z += shakeAt(67.73) * maxRotShake
+    }
+  }
+
+  const placeThirdPerson = () => {
+    // Back from the head, against the view direction
+    setLookDirection(direction, look.yaw, look.pitch).negate()
+    const hit = world.terrainQuery.raycast(playerPos, direction, thirdPerson.distance)
+    const distance = hit
+      ? Math.max(THIRD_PERSON.minDistance, hit.distance - THIRD_PERSON.clearance)
+      : thirdPerson.distance
+    camera.position.copy(playerPos).addScaledVector(direction, distance)
+    // Never below the ground, even where the ray slipped past a ridge
+    const ground = world.terrainQuery.heightAt(camera.position.x, camera.position.z) + THIRD_PERSON.clearance
+    camera.position.y = Math.max(camera.position.y, ground)
+    camera.rotation.set(look.pitch, look.yaw, 0)
+  }
+
+  const placeFreeFly = (dt) => {
+    setLookDirection(direction, fly.yaw, fly.pitch)
+    right.crossVectors(direction, up).normalize()
+    const speed = fly.speed * (isSprinting ? FREE_FLY.sprintFactor : 1) * dt
+    const forward = (keys['KeyW'] || keys['ArrowUp'] ? 1 : 0) - (keys['KeyS'] || keys['ArrowDown'] ? 1 : 0)
+    const strafe = (keys['KeyD'] || keys['ArrowRight'] ? 1 : 0) - (keys['KeyA'] || keys['ArrowLeft'] ? 1 : 0)
+    const rise = (keys['Space'] || keys['KeyE'] ? 1 : 0) - (keys['KeyQ'] || keys['ShiftLeft'] ? 1 : 0)
+    fly.position.addScaledVector(direction, forward * speed)
+    fly.position.addScaledVector(right, strafe * speed)
+    fly.position.y += rise * speed
+    camera.position.copy(fly.position)
+    camera.rotation.set(fly.pitch, fly.yaw, 0)
+    world.setFocus(fly.position)
+  }
+
+  const placeOrbit = (dt) => {
+    // Pan across the ground in the direction the camera faces
+    const forward = (keys['KeyW'] || keys['ArrowUp'] ? 1 : 0) - (keys['KeyS'] || keys['ArrowDown'] ? 1 : 0)
+    const strafe = (keys['KeyD'] || keys['ArrowRight'] ? 1 : 0) - (keys['KeyA'] || keys['ArrowLeft'] ? 1 : 0)
+    const pan = orbit.distance * ORBIT.panRate * (isSprinting ? FREE_FLY.sprintFactor : 1) * dt
+    const sin = Math.sin(orbit.yaw)
+    const cos = Math.cos(orbit.yaw)
+    orbit.target.x += (-sin * forward + cos * strafe) * pan
+    orbit.target.z += (-cos * forward - sin * strafe) * pan
+    orbit.target.y = Math.max(world.terrainQuery.heightAt(orbit.target.x, orbit.target.z), world.waterLevel)
+
+    const horizontal = Math.cos(orbit.elevation) * orbit.distance
+    camera.position.set(
+      orbit.target.x + sin * horizontal,
+      orbit.target.y + Math.sin(orbit.elevation) * orbit.distance,
+      orbit.target.z + cos * horizontal
+    )
+    camera.lookAt(orbit.target)
+    world.setFocus(orbit.target)
+  }
+
+  // The world has stepped the simulation; the camera sits between the last two steps
+  const placeCamera = ({ dt, time }) => {
+    player.getPosition(playerPos)
+    avatar.position.set(playerPos.x, playerPos.y - player.tuning.eyeHeight, playerPos.z)
+    avatar.rotation.y = look.yaw
+
+    if (mode === 'firstPerson') placeFirstPerson(dt, time)
+    else if (mode === 'thirdPerson') placeThirdPerson()
+    else if (mode === 'freeFly') placeFreeFly(dt)
+    else placeOrbit(dt)
+  }
+
+  const unsubscribe = [
+    // Big burst of shake when jumping, smaller one when landing
+    world.on('playerJumped', () => {
+      trauma = Math.min(1, trauma + 0.4)
+    }),
+    world.on('playerLanded', () => {
+      trauma = Math.min(1, trauma + 0.3)
+    }),
+    world.on('update', placeCamera)
+  ]
+
+  if (mode !== 'firstPerson') {
+    // Start in the mode asked for, set up as if switched to from first person
+    const requested = mode
+    mode = 'firstPerson'
+    placeFirstPerson(0, 0)
+    setMode(requested)
+  }
+
+  const dispose = () => {
+    unsubscribe.forEach((off) => off())
+    window.removeEventListener('keydown', handleKeyDown)
+    window.removeEventListener('keyup', handleKeyUp)
+    window.removeEventListener('click', focusCanvas)
+    domElement.removeEventListener('keydown', handleKeyDown)
+    domElement.removeEventListener('keyup', handleKeyUp)
+    domElement.removeEventListener('click', onClick)
+    domElement.removeEventListener('wheel', onWheel)
+    document.removeEventListener('pointerlockchange', onPointerLockChange)
+    document.removeEventListener('mousemove', onMouseMove)
+    if (document.pointerLockElement === domElement) document.exitPointerLock()
+    world.setFocus(null)
+    camera.far = baseFar
+    camera.updateProjectionMatrix()
+    scene.remove(avatar)
+    avatar.traverse((object) => {
+      if (!object.isMesh) return
+      object.geometry.dispose()
+      object.material.dispose()
+    })
+  }
+
+  return {
+    player,
+    setTuning: player.setTuning,
+    setMode,
+    get mode() { return mode },
+    dispose
+  }
+}
@@ -0,0 +1,171 @@
+import * as THREE from 'three'
+import { CSM } from 'three/examples/jsm/csm/CSM.js'
+
+export const DEFAULT_SHADOWS = {
+  cascades: 3,
+  // Far edge of each cascade (m), nearest first, or null to split the
+  // distance below the usual way (between uniform and logarithmic)
+  splits: null,
+  // How far from the camera shadows reach when there are no splits (m)
+  distance: 300,
+  mapSize: 2048,
+  // Extra room behind each cascade for casters outside the view, e.g. a hill behind the camera (m)
+  lightMargin: 200,
+  // Blend between cascades instead of a hard seam
+  fade: true
+}
+
+// Materials the CSM shader chunks know how to light
+const LIT_MATERIAL_TYPES = new Set([
+  'MeshStandardMaterial',
+  'MeshPhysicalMaterial',
+  'MeshLambertMaterial',
+  'MeshPhongMaterial',
+  'MeshToonMaterial'
+])
+
+// Cascaded shadow maps for a directional light, using three's CSM: one
+// shadow-casting light per cascade, each fitted around a slice of the
+// camera's view and snapped to whole shadow texels so edges don't shimmer as
+// the camera moves. Every lit material in the scene is set up for CSM, and
+// so is every one added to it later (through childadded events, at any
+// depth), so chunks and props just work. Call update() once per frame after
+// the camera has moved.
+export function createCascadedShadows({ scene, camera, ...options }) {
+  const settings = { ...DEFAULT_SHADOWS, ...options }
+  const { splits } = settings
+  if (splits && (splits.length !== settings.cascades || splits.some((d, i) => d <= (splits[i - 1] || 0)))) {
+    throw new Error(`Shadow splits must be ${settings.cascades} increasing distances, got [${splits}]`)
+  }
+
+  const csm = new CSM({
+    camera,
+    parent: scene,
+    cascades: settings.cascades,
+    maxFar: splits ? splits[splits.length - 1] : settings.distance,
+    mode: splits ? 'custom' : 'practical',
+    customSplitsCallback: (count, near, far, breaks) => splits.forEach((d) => breaks.push(Math.min(d, far) / far)),
+    shadowMapSize: settings.mapSize,
+    shadowBias: -0.0001,
+    lightMargin: settings.lightMargin
+  })
+  csm.fade = settings.fade
+  csm.lights.forEach((light, i) => {
+    light.name = `sunCascade_${i}`
+    light.intensity = 0
+    light.shadow.normalBias = 0.02
+  })
+  csm.updateFrustums()
+
+  // material -> its own onBeforeCompile/customProgramCacheKey, put back on dispose
+  const patched = new Map()
+
+  const unpatchMaterial = (material) => {
+    const own = patched.get(material)
+    patched.delete(material)
+    csm.shaders.delete(material)
+    material.removeEventListener('dispose', own.onDispose)
+    for (const name of ['onBeforeCompile', 'customProgramCacheKey']) {
+      if (own[name]) material[name] = own[name]
+      else delete material[name]
+    }
+    delete material.defines.USE_CSM
+    delete material.defines.CSM_CASCADES
+    delete material.defines.CSM_FADE
+    material.needsUpdate = true
+  }
+
+  // CSM's setupMaterial replaces onBeforeCompile, so run the material's own
+  // first (terrain and water patch their shaders there) and keep its cache key
+  const patchMaterial = (material) => {
+    const own = {
+      onBeforeCompile: Object.hasOwn(material, 'onBeforeCompile') ? material.onBeforeCompile : null,
+      customProgramCacheKey: Object.hasOwn(material, 'customProgramCacheKey') ? material.customProgramCacheKey : null,
+      onDispose: () => {
+        patched.delete(material)
+        csm.shaders.delete(material)
+      }
+    }
+    const ownCompile = material.onBeforeCompile
+    const cacheKey = material.customProgramCacheKey()
+    csm.setupMaterial(material)
+    const csmCompile = material.onBeforeCompile
+    material.onBeforeCompile = (shader, renderer) => {
+      ownCompile.call(material, shader, renderer)
+      csmCompile.call(material, shader, renderer)
+    }
+    material.customProgramCacheKey = () => `${cacheKey}|csm`
+    material.addEventListener('dispose', own.onDispose)
+    material.needsUpdate = true
+    patched.set(material, own)
+  }
+
+  const patchObject = (object) => {
+    if (!object.isMesh) return
+    const materials = Array.isArray(object.material) ? object.material : [object.material]
+    for (const material of materials) {
+      if (material && LIT_MATERIAL_TYPES.has(material.type) && !patched.has(material)) patchMaterial(material)
+    }
+  }
+
+  // Objects whose childadded/childremoved events are listened to
+  const watched = new Set()
+  const onChildAdded = (event) => watch(event.child)
+  const onChildRemoved = (event) => unwatch(event.child)
+
+  // Patches an object's subtree once, then whatever is added under it
+  const watch = (root) => {
+    root.traverse((object) => {
+      if (watched.has(object)) return
+      patchObject(object)
+      object.addEventListener('childadded', onChildAdded)
+      object.addEventListener('childremoved', onChildRemoved)
+      watched.add(object)
+    })
+  }
+
+  const unwatch = (root) => {
+    root.traverse((object) => {
+      if (!watched.delete(object)) return
+      object.removeEventListener('childadded', onChildAdded)
+      object.removeEventListener('childremoved', onChildRemoved)
+    })
+  }
+
+  watch(scene)
+
+  // direction points from the scene towards the light
+  const setLight = (direction, color, intensity) => {
+    csm.lightDirection.copy(direction).negate().normalize()
+    for (const light of csm.lights) {
+      light.color.copy(color)
+      light.intensity = intensity
+      // No point rendering shadow maps for a light that's off
+      light.castShadow = intensity > 0
+    }
+  }
+
+  const projection = new THREE.Matrix4()
+  const update = () => {
+    // Resizes change the view frustum the cascades are cut from
+    if (!projection.equals(camera.projectionMatrix)) {
+      csm.updateFrustums()
+      projection.copy(camera.projectionMatrix)
+    }
+    csm.update()
+    // The renderer has already updated world matrices by the time this runs
+    for (const light of csm.lights) {
+      light.updateMatrixWorld()
+      light.target.updateMatrixWorld()
+    }
+  }
+
+  const dispose = () => {
+    unwatch(scene)
+    for (const material of [...patched.keys()]) unpatchMaterial(material)
+    csm.remove()
+    csm.lights.forEach((light) => light.dispose())
+  }
+
+  return { lights: csm.lights, setLight, update, dispose }
+}
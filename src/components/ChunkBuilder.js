@@ -0,0 +1,367 @@
+import { BIOMES, TERRAIN_LAYERS } from './Terrain.js'
+import { createTerrainSampler } from './Heightmap.js'
+import { sampleHeightfield } from './TerrainQuery.js'
+import { scatterChunk } from './ScatterRules.js'
+import { createRiverNetwork, getRiverPieces, RIVER_POINT_STRIDE } from './Rivers.js'
+import { createErosionField } from './Erosion.js'
+
+// Pure chunk mesh generation, shared by the worker pool and anything that
+// needs chunk data without three.js or the DOM.
+export const CHUNK_SIZE = 100
+// Bump whenever the generator, biomes, scatter rules or the chunk data
+// layout change, so chunks stored by an older build aren't served again
+export const CHUNK_FORMAT_VERSION = 4
+export const CHUNK_SEGMENTS = 64
+export const BASE_GROUND_OFFSET = 0.5
+// Skirts hang this many cells below the chunk edge to hide cracks between LODs
+const SKIRT_DEPTH_CELLS = 2
+// Erosion masks per vertex: sediment, wetness
+export const EROSION_MASK_SIZE = 2
+// Riverbeds carved deeper than this are all dirt
+const RIVERBED_FULL_DIRT_DEPTH = 1
+
+// Building a noise permutation table is cheap but not free, and a worker
+// builds many chunks for the same seed. Heightmaps are compared by identity:
+// a worker keeps the one it was sent until a new one arrives.
+let cachedSampler = { seed: null, heightmap: null, sampleTerrain: null }
+function getSampler(seed, heightmap) {
+  if (cachedSampler.seed !== seed || cachedSampler.heightmap !== heightmap) {
+    cachedSampler = { seed, heightmap, sampleTerrain: createTerrainSampler({ seed, heightmap }) }
+  }
+  return cachedSampler.sampleTerrain
+}
+
+// River networks are expensive to build, so keep one per seed/water level too
+let cachedRivers = { seed: null, seaLevel: null, heightmap: null, network: null }
+function getRivers(seed, seaLevel, heightmap) {
+  if (cachedRivers.seed !== seed || cachedRivers.seaLevel !== seaLevel || cachedRivers.heightmap !== heightmap) {
+    cachedRivers = { seed, seaLevel, heightmap, network: createRiverNetwork({ seed, seaLevel, heightmap }) }
+  }
+  return cachedRivers.network
+}
+
+// Eroded tiles are cached inside the field, so it lives as long as its settings
+let cachedErosion = { seed: null, settingsKey: null, heightmap: null, field: null }
+function getErosion(seed, settings, heightmap) {
+  const settingsKey = JSON.stringify(settings)
+  if (cachedErosion.seed !== seed || cachedErosion.settingsKey !== settingsKey || cachedErosion.heightmap !== heightmap) {
+    cachedErosion = { seed, settingsKey, heightmap, field: createErosionField({ seed, settings, heightmap }) }
+  }
+  return cachedErosion.field
+}
+
+const srgbToLinear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4))
+
+// Per-biome splat weights (one per TERRAIN_LAYERS entry) and linear tint
+function getBiomeSurfaces() {
+  return BIOMES.map((biome) => {
+    const layers = biome.material.layers || {}
+    const color = biome.material.color === undefined ? 0xffffff : biome.material.color
+    return {
+      splat: TERRAIN_LAYERS.map((layer) => layers[layer] || 0),
+      color: [(color >> 16) & 255, (color >> 8) & 255, color & 255].map((c) => srgbToLinear(c / 255))
+    }
+  })
+}
+
+// Heightfield, normals, uvs and surface blend data for one chunk.
+// Heights come from the generator, or from an imported heightmap (see
+// Heightmap.js) where one is given.
+// Vertices are in chunk-local space (y up), centred on the chunk origin.
+// Each vertex carries splat weights for the terrain layers and a biome tint,
+// blended from the biome weights so borders fade instead of cutting.
+// A skirt of vertical triangles runs around the edge so neighbours built at
+// a different resolution never show gaps.
+// With erosion settings, the generator heights are eroded (see Erosion.js)
+// before anything else, and each vertex gets sediment/wetness masks.
+// Riverbeds from the region drainage pass are carved into the heights, and
+// the stretches of river crossing the chunk come back as polylines (world
+// space, surface y on the rendered ground) for drawing the water.
+// Props from the scatter rules come back as per-rule instance arrays, with
+// the colliders the player has to walk around.
+export function buildChunkData({
+  chunkX,
+  chunkZ,
+  seed,
+  segments = CHUNK_SEGMENTS,
+  skirt = true,
+  scatter = true,
+  rivers = true,
+  erosion = null,
+  waterLevel = -Infinity,
+  heightmap = null
+}) {
+  const sampleTerrain = getSampler(seed, heightmap)
+  const worldX = chunkX * CHUNK_SIZE
+  const worldZ = chunkZ * CHUNK_SIZE
+  const step = CHUNK_SIZE / segments
+  const half = CHUNK_SIZE / 2
+  const gridSize = segments + 1
+  const gridVertexCount = gridSize * gridSize
+  const biomeCount = BIOMES.length
+  const biomeSurfaces = getBiomeSurfaces()
+  const layerCount = TERRAIN_LAYERS.length
+
+  // Sample one extra ring around the chunk so normals match the neighbours at the seams
+  const padded = gridSize + 2
+  const paddedHeights = new Float32Array(padded * padded)
+  const vertexBiomeWeights = new Float32Array(gridVertexCount * biomeCount)
+  const vertexCarveDepth = new Float32Array(gridVertexCount)
+  const erosionMasks = new Float32Array(gridVertexCount * EROSION_MASK_SIZE)
+  const erosionField = erosion ? getErosion(seed, erosion, heightmap) : null
+  const erosionSample = { delta: 0, sediment: 0, wetness: 0 }
+  const riverCarver = rivers
+    ? getRivers(seed, waterLevel, heightmap).createCarver(worldX - half - step, worldZ - half - step, worldX + half + step, worldZ + half + step)
+    : null
+
+  for (let pz = 0; pz < padded; pz++) {
+    for (let px = 0; px < padded; px++) {
+      const x = worldX + (px - 1) * step - half
+      const z = worldZ + (pz - 1) * step - half
+      const terrainData = sampleTerrain(x, z)
+      let erosionDelta = 0
+      if (erosionField) {
+        erosionField.sample(x, z, erosionSample)
+        erosionDelta = erosionSample.delta
+      }
+      const ground = terrainData.height + erosionDelta
+      // River surfaces are worked out from the generator heights, so the
+      // carver takes those and the erosion change separately
+      const height = riverCarver ? riverCarver.carve(x, z, terrainData.height, erosionDelta) : ground
+      paddedHeights[pz * padded + px] = height
+
+      const ix = px - 1
+      const iz = pz - 1
+      if (ix >= 0 && ix < gridSize && iz >= 0 && iz < gridSize) {
+        const i = iz * gridSize + ix
+        vertexBiomeWeights.set(terrainData.biomeWeights, i * biomeCount)
+        vertexCarveDepth[i] = Math.max(0, ground - height)
+        if (erosionField) {
+          erosionMasks[i * EROSION_MASK_SIZE] = erosionSample.sediment
+          erosionMasks[i * EROSION_MASK_SIZE + 1] = erosionSample.wetness
+        }
+      }
+    }
+  }
+
+  // Rendered surface heights on the grid, for collision queries
+  const heights = new Float32Array(gridVertexCount)
+  const normals = new Float32Array(gridVertexCount * 3)
+  const splat = new Float32Array(gridVertexCount * layerCount)
+  const colors = new Float32Array(gridVertexCount * 3)
+
+  for (let iz = 0; iz < gridSize; iz++) {
+    for (let ix = 0; ix < gridSize; ix++) {
+      const i = iz * gridSize + ix
+      const p = (iz + 1) * padded + (ix + 1)
+
+      heights[i] = paddedHeights[p] - BASE_GROUND_OFFSET
+
+      // Central differences: n ~ (-dh/dx, 1, -dh/dz)
+      const nx = paddedHeights[p - 1] - paddedHeights[p + 1]
+      const nz = paddedHeights[p - padded] - paddedHeights[p + padded]
+      const ny = 2 * step
+      const length = Math.hypot(nx, ny, nz)
+      normals[i * 3] = nx / length
+      normals[i * 3 + 1] = ny / length
+      normals[i * 3 + 2] = nz / length
+
+      for (let biome = 0; biome < biomeCount; biome++) {
+        const w = vertexBiomeWeights[i * biomeCount + biome]
+        if (w === 0) continue
+        const surface = biomeSurfaces[biome]
+        for (let layer = 0; layer < layerCount; layer++) {
+          splat[i * layerCount + layer] += surface.splat[layer] * w
+        }
+        colors[i * 3] += surface.color[0] * w
+        colors[i * 3 + 1] += surface.color[1] * w
+        colors[i * 3 + 2] += surface.color[2] * w
+      }
+
+      // Riverbeds and cut banks turn to dirt
+      const bed = Math.min(1, vertexCarveDepth[i] / RIVERBED_FULL_DIRT_DEPTH)
+      if (bed > 0) {
+        for (let layer = 0; layer < layerCount; layer++) {
+          const dirt = TERRAIN_LAYERS[layer] === 'dirt' ? 1 : 0
+          splat[i * layerCount + layer] += (dirt - splat[i * layerCount + layer]) * bed
+        }
+      }
+    }
+  }
+
+  const { props, colliders } = scatter
+    ? scatterChunk({
+      chunkX,
+      chunkZ,
+      seed,
+      chunkSize: CHUNK_SIZE,
+      sampleTerrain,
+      waterLevel,
+      carve: riverCarver && riverCarver.carve,
+      surfaceHeightAt: (localX, localZ) => sampleHeightfield(heights, segments, CHUNK_SIZE, localX, localZ)
+    })
+    : { props: {}, colliders: new Float32Array(0) }
+
+  const riverPieces = riverCarver
+    ? getRiverPieces(riverCarver.rivers, worldX - half, worldZ - half, worldX + half, worldZ + half)
+    : []
+  riverPieces.forEach(({ points }) => {
+    for (let o = 1; o < points.length; o += RIVER_POINT_STRIDE) points[o] -= BASE_GROUND_OFFSET
+  })
+
+  return assembleChunkData({
+    chunkX,
+    chunkZ,
+    segments,
+    skirt,
+    heights,
+    normals,
+    splat,
+    colors,
+    erosion: erosionMasks,
+    props,
+    colliders,
+    rivers: riverPieces
+  })
+}
+
+// Border grid vertices in one loop around the chunk (top, right, bottom,
+// left). Skirt vertex k sits under border vertex k, after the grid.
+export function getChunkBorder(segments) {
+  const gridSize = segments + 1
+  const border = []
+  for (let ix = 0; ix < segments; ix++) border.push(ix)
+  for (let iz = 0; iz < segments; iz++) border.push(iz * gridSize + segments)
+  for (let ix = segments; ix > 0; ix--) border.push(segments * gridSize + ix)
+  for (let iz = segments; iz > 0; iz--) border.push(iz * gridSize)
+  return border
+}
+
+// Turns per-grid-vertex surface data (heights, normals, splat, colors,
+// erosion masks) into the full chunk data buildChunkData returns: mesh
+// positions, uvs and index, plus the skirt. Shared with pre-baked tiles
+// (see TileFormat.js), which only store the grid.
+export function assembleChunkData({
+  chunkX,
+  chunkZ,
+  segments,
+  skirt = true,
+  heights,
+  normals: gridNormals,
+  splat: gridSplat,
+  colors: gridColors,
+  erosion: gridErosion,
+  props = {},
+  colliders = new Float32Array(0),
+  rivers = []
+}) {
+  const step = CHUNK_SIZE / segments
+  const half = CHUNK_SIZE / 2
+  const gridSize = segments + 1
+  const gridVertexCount = gridSize * gridSize
+  const layerCount = TERRAIN_LAYERS.length
+  const border = skirt ? getChunkBorder(segments) : []
+  const vertexCount = gridVertexCount + border.length
+
+  const positions = new Float32Array(vertexCount * 3)
+  const normals = new Float32Array(vertexCount * 3)
+  const uvs = new Float32Array(vertexCount * 2)
+  const splat = new Float32Array(vertexCount * layerCount)
+  const colors = new Float32Array(vertexCount * 3)
+  const erosion = new Float32Array(vertexCount * EROSION_MASK_SIZE)
+  normals.set(gridNormals)
+  splat.set(gridSplat)
+  colors.set(gridColors)
+  erosion.set(gridErosion)
+
+  for (let iz = 0; iz < gridSize; iz++) {
+    for (let ix = 0; ix < gridSize; ix++) {
+      const i = iz * gridSize + ix
+      positions[i * 3] = ix * step - half
+      positions[i * 3 + 1] = heights[i]
+      positions[i * 3 + 2] = iz * step - half
+      uvs[i * 2] = ix / segments
+      uvs[i * 2 + 1] = 1 - iz / segments
+    }
+  }
+
+  // Skirt vertices copy their border vertex, dropped straight down
+  const skirtDepth = step * SKIRT_DEPTH_CELLS
+  border.forEach((b, k) => {
+    const v = gridVertexCount + k
+    positions[v * 3] = positions[b * 3]
+    positions[v * 3 + 1] = positions[b * 3 + 1] - skirtDepth
+    positions[v * 3 + 2] = positions[b * 3 + 2]
+    normals.set(normals.subarray(b * 3, b * 3 + 3), v * 3)
+    uvs.set(uvs.subarray(b * 2, b * 2 + 2), v * 2)
+    splat.set(splat.subarray(b * layerCount, (b + 1) * layerCount), v * layerCount)
+    colors.set(colors.subarray(b * 3, b * 3 + 3), v * 3)
+    erosion.set(erosion.subarray(b * EROSION_MASK_SIZE, (b + 1) * EROSION_MASK_SIZE), v * EROSION_MASK_SIZE)
+  })
+
+  const IndexArrayType = vertexCount > 65535 ? Uint32Array : Uint16Array
+  const index = new IndexArrayType((segments * segments + border.length) * 6)
+  let offset = 0
+  const pushTriangle = (a, b, c) => {
+    index[offset++] = a
+    index[offset++] = b
+    index[offset++] = c
+  }
+
+  // Same quad split as THREE.PlaneGeometry, so triangles face up
+  for (let iz = 0; iz < segments; iz++) {
+    for (let ix = 0; ix < segments; ix++) {
+      const a = iz * gridSize + ix
+      const b = (iz + 1) * gridSize + ix
+      const c = (iz + 1) * gridSize + ix + 1
+      const d = iz * gridSize + ix + 1
+      pushTriangle(a, b, d)
+      pushTriangle(b, c, d)
+    }
+  }
+
+  // Walking the border loop, the skirt faces outwards
+  for (let k = 0; k < border.length; k++) {
+    const next = (k + 1) % border.length
+    const p0 = border[k]
+    const p1 = border[next]
+    const s0 = gridVertexCount + k
+    const s1 = gridVertexCount + next
+    pushTriangle(p0, p1, s0)
+    pushTriangle(p1, s1, s0)
+  }
+
+  return {
+    chunkX,
+    chunkZ,
+    segments,
+    heights,
+    positions,
+    normals,
+    uvs,
+    splat,
+    colors,
+    erosion,
+    index,
+    props,
+    colliders,
+    rivers
+  }
+}
+
+// Buffers that can be moved (not copied) out of a worker
+export function getChunkTransferables(data) {
+  return [
+    data.heights.buffer,
+    data.positions.buffer,
+    data.normals.buffer,
+    data.uvs.buffer,
+    data.splat.buffer,
+    data.colors.buffer,
+    data.erosion.buffer,
+    data.index.buffer,
+    data.colliders.buffer,
+    ...data.rivers.map((piece) => piece.points.buffer),
+    ...Object.values(data.props).map((instances) => instances.buffer)
+  ]
+}
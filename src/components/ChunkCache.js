@@ -0,0 +1,91 @@
+import { getChunkTransferables } from './ChunkBuilder.js'
+import { openDatabase, runInStore } from './IndexedDb.js'
+
+// Enough for a few hundred full-resolution chunks
+export const DEFAULT_CHUNK_CACHE_BYTES = 128 * 1024 * 1024
+const CHUNK_DB_NAME = 'terrain-chunks'
+const CHUNK_STORE = 'chunks'
+const META_STORE = 'meta'
+
+// Memory held by one chunk's arrays
+export const getChunkByteSize = (data) => getChunkTransferables(data).reduce((sum, buffer) => sum + buffer.byteLength, 0)
+
+// Generated chunk data kept in memory after its chunk unloads, so walking
+// back doesn't rebuild it. Holds at most maxBytes, dropping the least
+// recently used chunks first. Cached data is shared, never copied: whoever
+// gets it must not change it.
+export function createChunkCache({ maxBytes = DEFAULT_CHUNK_CACHE_BYTES } = {}) {
+  const entries = new Map() // key -> { data, bytes }, least recently used first
+  let bytes = 0
+
+  const remove = (key) => {
+    const entry = entries.get(key)
+    if (!entry) return
+    entries.delete(key)
+    bytes -= entry.bytes
+  }
+
+  const get = (key) => {
+    const entry = entries.get(key)
+    if (!entry) return null
+    // Re-inserting moves it to the most recently used end
+    entries.delete(key)
+    entries.set(key, entry)
+    return entry.data
+  }
+
+  const set = (key, data) => {
+    remove(key)
+    const size = getChunkByteSize(data)
+    if (size > maxBytes) return
+    entries.set(key, { data, bytes: size })
+    bytes += size
+    for (const [oldKey, entry] of entries) {
+      if (bytes <= maxBytes) break
+      entries.delete(oldKey)
+      bytes -= entry.bytes
+    }
+  }
+
+  const clear = () => {
+    entries.clear()
+    bytes = 0
+  }
+
+  return {
+    get,
+    set,
+    delete: remove,
+    clear,
+    get size() { return entries.size },
+    get bytes() { return bytes }
+  }
+}
+
+// Chunk data kept in IndexedDB across page loads, behind the memory cache.
+// Everything stored belongs to one namespace (the world's seed and
+// settings); opening a different one clears the store, so it only ever
+// holds the chunks of the last world played. get resolves with null for
+// chunks it doesn't have.
+export function createChunkStore({ namespace, name = CHUNK_DB_NAME }) {
+  const ready = openDatabase(name, [CHUNK_STORE, META_STORE]).then(async (db) => {
+    const current = await runInStore(db, META_STORE, 'readonly', (store) => store.get('namespace'))
+    if (current !== namespace) {
+      await runInStore(db, CHUNK_STORE, 'readwrite', (store) => store.clear())
+      await runInStore(db, META_STORE, 'readwrite', (store) => store.put(namespace, 'namespace'))
+    }
+    return db
+  })
+
+  const get = (key) => ready
+    .then((db) => runInStore(db, CHUNK_STORE, 'readonly', (store) => store.get(key)))
+    .then((data) => data || null)
+
+  const set = (key, data) => ready.then((db) => runInStore(db, CHUNK_STORE, 'readwrite', (store) => store.put(data, key)))
+
+  const dispose = () => {
+    ready.then((db) => db.close()).catch(() => {})
+  }
+
+  return { get, set, dispose }
+}
@@ -0,0 +1,239 @@
+import * as THREE from 'three'
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { CHUNK_SIZE } from './ChunkBuilder.js'
+import { sampleHeightfield } from './TerrainQuery.js'
+import { createRandom, deriveSeed } from './Random.js'
+import { TERRAIN_LAYERS } from './Terrain.js'
+
+// Grass only exists on chunks within this distance of the player
+const GRASS_DISTANCE = 120
+// Density starts thinning out here and reaches zero at GRASS_DISTANCE
+const GRASS_FADE_START = 50
+// Total instances drawn at once, however far the player walks
+const GRASS_INSTANCE_BUDGET = 60000
+// Placement attempts per chunk; each is kept with a probability from the ground
+const GRASS_ATTEMPTS_PER_CHUNK = 12000
+// New chunks get their instances generated at most this many per frame
+const GRASS_CHUNKS_PER_FRAME = 1
+const GRASS_CARD_SIZE = 1.2
+// Grass thins out towards the snow line and on steep ground
+const GRASS_MAX_HEIGHT = { start: 20, end: 28 }
+const GRASS_SLOPE = { start: 0.75, end: 0.9 } // normal.y
+// No grass this close to (or under) the water surface
+const GRASS_SHORE_MARGIN = 0.3
+// Keeps grass placement independent from other scatter streams of the same chunk
+const GRASS_SEED_SALT = 0x67726173
+// Splat channel grass grows on
+const GRASS_LAYER = TERRAIN_LAYERS.indexOf('grass')
+
+// Each instance has a threshold in [0, 1) and is drawn while the density at
+// its distance from the player is above it, so grass thins out blade by
+// blade rather than a chunk at a time
+const vertexPars = /* glsl */ `
+attribute float grassThreshold;
+uniform vec3 uGrassCenter;
+uniform vec2 uGrassFade;
+`
+
+const vertexMain = /* glsl */ `
+vec3 grassRoot = (modelMatrix * instanceMatrix[3]).xyz;
+float grassDensity = 1.0 - smoothstep(uGrassFade.x, uGrassFade.y, distance(grassRoot.xz, uGrassCenter.xz));
+// Thinned-out instances collapse onto their root and draw nothing
+if (grassThreshold >= grassDensity) transformed = vec3(0.0);
+`
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+  return t * t * (3 - 2 * t)
+}
+
+// Instanced grass streamed per chunk. Placement is deterministic for a seed
+// and chunk; instances are built lazily when a chunk comes into range and
+// freed when it leaves or is removed.
+export function createGrassSystem({
+  scene,
+  seed,
+  chunkSize = CHUNK_SIZE,
+  budget = GRASS_INSTANCE_BUDGET,
+  waterLevel = -Infinity
+}) {
+  const textureLoader = new THREE.TextureLoader()
+  const grassDiffuse = textureLoader.load('/grass/grass_bermuda_01_diff_4k.jpg')
+  const grassAlpha = textureLoader.load('/grass/grass_bermuda_01_alpha_4k.png')
+  grassDiffuse.colorSpace = THREE.SRGBColorSpace
+
+  // Two crossed cards, standing on the ground rather than centred on it
+  const card = new THREE.PlaneGeometry(GRASS_CARD_SIZE, GRASS_CARD_SIZE)
+  card.translate(0, GRASS_CARD_SIZE / 2, 0)
+  const crossed = card.clone().rotateY(Math.PI / 2)
+  const geometry = mergeGeometries([card, crossed])
+  card.dispose()
+  crossed.dispose()
+
+  const material = new THREE.MeshStandardMaterial({
+    map: grassDiffuse,
+    alphaMap: grassAlpha,
+    transparent: true,
+    alphaTest: 0.1,
+    side: THREE.DoubleSide,
+    roughness: 0.8,
+    metalness: 0.1
+  })
+  // Shadows fade with the grass that casts them
+  const depthMaterial = new THREE.MeshDepthMaterial({
+    depthPacking: THREE.RGBADepthPacking,
+    alphaMap: grassAlpha,
+    alphaTest: 0.1,
+    side: THREE.DoubleSide
+  })
+
+  const fadeUniforms = {
+    uGrassCenter: { value: new THREE.Vector3() },
+    uGrassFade: { value: new THREE.Vector2(GRASS_FADE_START, GRASS_DISTANCE) }
+  }
+  const addFade = (shader) => {
+    Object.assign(shader.uniforms, fadeUniforms)
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${vertexPars}`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>\n${vertexMain}`)
+  }
+  material.onBeforeCompile = addFade
+  depthMaterial.onBeforeCompile = addFade
+
+  const group = new THREE.Group()
+  group.name = 'grass'
+  scene.add(group)
+
+  const chunks = new Map() // key -> { data, mesh, built, distance }
+
+  const matrix = new THREE.Matrix4()
+  const pos = new THREE.Vector3()
+  const quat = new THREE.Quaternion()
+  const scl = new THREE.Vector3()
+  const up = new THREE.Vector3(0, 1, 0)
+  const normal = { x: 0, y: 1, z: 0 }
+
+  const buildMesh = (data) => {
+    const { chunkX, chunkZ, segments, heights, splat } = data
+    const random = createRandom(deriveSeed(seed, chunkX, chunkZ, GRASS_SEED_SALT))
+    const gridSize = segments + 1
+    const step = chunkSize / segments
+    const originX = chunkX * chunkSize - chunkSize / 2
+    const originZ = chunkZ * chunkSize - chunkSize / 2
+    const placed = [] // x, y, z, rotation, scale per instance
+
+    for (let i = 0; i < GRASS_ATTEMPTS_PER_CHUNK; i++) {
+      // Always draw the same number of randoms per attempt so placement is stable
+      const localX = random() * chunkSize
+      const localZ = random() * chunkSize
+      const keep = random()
+      const rotation = random() * Math.PI * 2
+      const scale = 0.7 + random() * 0.6
+
+      const height = sampleHeightfield(heights, segments, chunkSize, localX, localZ, normal)
+      if (height < waterLevel + GRASS_SHORE_MARGIN) continue
+      const vertex = Math.round(localZ / step) * gridSize + Math.round(localX / step)
+      const density = splat[vertex * TERRAIN_LAYERS.length + GRASS_LAYER] *
+        smoothstep(GRASS_SLOPE.start, GRASS_SLOPE.end, normal.y) *
+        (1 - smoothstep(GRASS_MAX_HEIGHT.start, GRASS_MAX_HEIGHT.end, height))
+      if (keep >= density) continue
+
+      placed.push(originX + localX, height, originZ + localZ, rotation, scale)
+    }
+
+    const count = placed.length / 5
+    if (count === 0) return null
+    // Instances are placed in random order, so thresholds rising with the
+    // index thin the chunk evenly, and the first N are the ones still drawn
+    const thresholds = new Float32Array(count)
+    for (let i = 0; i < count; i++) thresholds[i] = i / count
+    const instanceGeometry = geometry.clone()
+    instanceGeometry.setAttribute('grassThreshold', new THREE.InstancedBufferAttribute(thresholds, 1))
+    const mesh = new THREE.InstancedMesh(instanceGeometry, material, count)
+    for (let i = 0; i < count; i++) {
+      pos.set(placed[i * 5], placed[i * 5 + 1], placed[i * 5 + 2])
+      quat.setFromAxisAngle(up, placed[i * 5 + 3])
+      scl.setScalar(placed[i * 5 + 4])
+      mesh.setMatrixAt(i, matrix.compose(pos, quat, scl))
+    }
+    mesh.customDepthMaterial = depthMaterial
+    mesh.instanceMatrix.needsUpdate = true
+    mesh.computeBoundingSphere()
+    mesh.castShadow = true
+    mesh.receiveShadow = true
+    return mesh
+  }
+
+  const freeMesh = (chunk) => {
+    if (!chunk.mesh) return
+    group.remove(chunk.mesh)
+    chunk.mesh.geometry.dispose()
+    chunk.mesh.dispose()
+    chunk.mesh = null
+  }
+
+  const setChunk = (key, data) => {
+    removeChunk(key)
+    chunks.set(key, { data, mesh: null, built: false, distance: Infinity })
+  }
+
+  const removeChunk = (key) => {
+    const chunk = chunks.get(key)
+    if (!chunk) return
+    freeMesh(chunk)
+    chunks.delete(key)
+  }
+
+  const update = (position) => {
+    fadeUniforms.uGrassCenter.value.set(position.x, 0, position.z)
+    const inRange = []
+    for (const chunk of chunks.values()) {
+      const { chunkX, chunkZ } = chunk.data
+      const half = chunkSize / 2
+      const nearestX = Math.max(chunkX * chunkSize - half, Math.min(position.x, chunkX * chunkSize + half))
+      const nearestZ = Math.max(chunkZ * chunkSize - half, Math.min(position.z, chunkZ * chunkSize + half))
+      chunk.distance = Math.hypot(nearestX - position.x, nearestZ - position.z)
+
+      if (chunk.distance <= GRASS_DISTANCE) {
+        inRange.push(chunk)
+      } else if (chunk.built) {
+        freeMesh(chunk)
+        chunk.built = false
+      }
+    }
+
+    // Nearest chunks get their grass first, and the first share of the budget
+    inRange.sort((a, b) => a.distance - b.distance)
+    let built = 0
+    let remaining = budget
+    for (const chunk of inRange) {
+      if (!chunk.built && built < GRASS_CHUNKS_PER_FRAME) {
+        chunk.mesh = buildMesh(chunk.data)
+        chunk.built = true
+        built++
+        if (chunk.mesh) group.add(chunk.mesh)
+      }
+      if (!chunk.mesh) continue
+
+      // No instance is nearer than the chunk's closest point, so the ones
+      // whose threshold is above the density there are never drawn
+      const fade = 1 - smoothstep(GRASS_FADE_START, GRASS_DISTANCE, chunk.distance)
+      const count = Math.min(remaining, Math.ceil(chunk.mesh.instanceMatrix.count * fade))
+      chunk.mesh.count = count
+      chunk.mesh.visible = count > 0
+      remaining -= count
+    }
+  }
+
+  const dispose = () => {
+    for (const key of [...chunks.keys()]) removeChunk(key)
+    scene.remove(group)
+    geometry.dispose()
+    material.dispose()
+    depthMaterial.dispose()
+    grassDiffuse.dispose()
+    grassAlpha.dispose()
+  }
+
+  return { setChunk, removeChunk, update, dispose }
+}
@@ -0,0 +1,114 @@
+import * as THREE from 'three'
+import { CHUNK_SIZE, EROSION_MASK_SIZE } from './ChunkBuilder.js'
+import { createTerrainMaterial } from './TerrainMaterial.js'
+import { createGrassSystem } from './ChunkGrass.js'
+import { createScatterSystem } from './ChunkScatter.js'
+import { createWaterSystem } from './Water.js'
+
+// Draws a TerrainWorld's chunks into a scene: ground meshes with the shared
+// splat material, grass, scatter props and water, kept in step with the
+// world's chunkLoaded/chunkUnloaded/chunkEdited events and updated on its tick.
+export function createChunkRenderer({ world, scene, camera = null }) {
+  // One splat material shared by every chunk
+  const terrainMaterial = createTerrainMaterial()
+  // Grass is scattered per chunk from the same heightfields
+  const grass = createGrassSystem({ scene, seed: world.seed, waterLevel: world.waterLevel })
+  // Trees, rocks and other props come placed by the workers from the scatter rules
+  const scatter = createScatterSystem({ scene })
+  const water = createWaterSystem({ scene, waterLevel: world.waterLevel })
+
+  const meshes = new Map() // key -> mesh
+  // What the camera sees streams in first
+  const frustum = new THREE.Frustum()
+  const viewProjection = new THREE.Matrix4()
+
+  const removeChunk = (key) => {
+    const mesh = meshes.get(key)
+    if (!mesh) return
+    scene.remove(mesh)
+    mesh.geometry.dispose()
+    meshes.delete(key)
+    grass.removeChunk(key)
+    scatter.removeChunk(key)
+    water.removeChunk(key)
+  }
+
+  const setChunk = (key, data) => {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3))
+    geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3))
+    geometry.setAttribute('uv', new THREE.BufferAttribute(data.uvs, 2))
+    geometry.setAttribute('splat', new THREE.BufferAttribute(data.splat, 4))
+    geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3))
+    geometry.setAttribute('erosion', new THREE.BufferAttribute(data.erosion, EROSION_MASK_SIZE))
+    geometry.setIndex(new THREE.BufferAttribute(data.index, 1))
+
+    const mesh = new THREE.Mesh(geometry, terrainMaterial.material)
+    mesh.position.set(data.chunkX * CHUNK_SIZE, 0, data.chunkZ * CHUNK_SIZE)
+    // Hills shadow the valleys, in the sun's cascades like everything else
+    mesh.castShadow = true
+    mesh.receiveShadow = true
+    mesh.name = `terrainChunk_${key}`
+    // LOD swaps arrive as another chunkLoaded; the old mesh goes once the new one is in
+    removeChunk(key)
+    scene.add(mesh)
+    meshes.set(key, mesh)
+    grass.setChunk(key, data)
+    scatter.setChunk(key, data)
+    water.setChunk(key, data)
+  }
+
+  // Sculpting changes the chunk data in place, so the mesh just re-uploads
+  // it, unless the first edit swapped in a copy of the data
+  const editChunk = (key, data) => {
+    const mesh = meshes.get(key)
+    if (!mesh) return
+    const { geometry } = mesh
+    if (geometry.attributes.position.array !== data.positions) {
+      setChunk(key, data)
+      return
+    }
+    geometry.attributes.position.needsUpdate = true
+    geometry.attributes.normal.needsUpdate = true
+    geometry.attributes.splat.needsUpdate = true
+    geometry.computeBoundingSphere()
+    if (geometry.boundingBox) geometry.computeBoundingBox()
+    // Grass, props and water are placed from the heights, so they're placed again
+    grass.setChunk(key, data)
+    scatter.setChunk(key, data)
+    water.setChunk(key, data)
+  }
+
+  // Chunks the world already had before the renderer was attached
+  world.getLoadedChunks().forEach((data) => setChunk(`${data.chunkX},${data.chunkZ}`, data))
+
+  const unsubscribe = [
+    world.on('chunkLoaded', ({ key, data }) => setChunk(key, data)),
+    world.on('chunkUnloaded', ({ key }) => removeChunk(key)),
+    world.on('chunkEdited', ({ key, data }) => editChunk(key, data)),
+    world.on('update', ({ time }) => {
+      const focus = world.getFocus()
+      if (focus) {
+        grass.update(focus)
+        scatter.update(focus)
+      }
+      if (camera) {
+        water.update(camera, time)
+        viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        world.setView(frustum.setFromProjectionMatrix(viewProjection))
+      }
+    })
+  ]
+
+  const dispose = () => {
+    unsubscribe.forEach((off) => off())
+    world.setView(null)
+    for (const key of [...meshes.keys()]) removeChunk(key)
+    grass.dispose()
+    scatter.dispose()
+    water.dispose()
+    terrainMaterial.dispose()
+  }
+
+  return { dispose }
+}
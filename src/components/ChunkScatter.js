@@ -0,0 +1,182 @@
+import * as THREE from 'three'
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { CHUNK_SIZE } from './ChunkBuilder.js'
+import { SCATTER_RULES } from './ScatterRules.js'
+import { createRandom, hashSeed } from './Random.js'
+
+// Props are hidden on chunks further away than this unless a rule sets its own drawDistance
+const DEFAULT_DRAW_DISTANCE = 400
+// Sink props a little so they don't float where the ground slopes under them
+export const PROP_GROUND_SINK = 0.15
+
+// Gives every vertex of a part the same colour and drops the index, so parts
+// built from different primitives can be merged into one geometry
+const paint = (geometry, hex) => {
+  const part = geometry.index ? geometry.toNonIndexed() : geometry
+  if (part !== geometry) geometry.dispose()
+  const color = new THREE.Color(hex)
+  const colors = new Float32Array(part.attributes.position.count * 3)
+  for (let i = 0; i < colors.length; i += 3) {
+    colors[i] = color.r
+    colors[i + 1] = color.g
+    colors[i + 2] = color.b
+  }
+  part.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+  return part
+}
+
+const merge = (parts) => {
+  const geometry = mergeGeometries(parts)
+  parts.forEach((part) => part.dispose())
+  return geometry
+}
+
+// Low-poly model builders, keyed by rule.model.type. Models stand on y = 0.
+const MODEL_BUILDERS = {
+  conifer: (m) => merge([
+    paint(new THREE.CylinderGeometry(m.trunkRadius * 0.7, m.trunkRadius, m.trunkHeight, 6)
+      .translate(0, m.trunkHeight / 2, 0), m.trunkColor),
+    paint(new THREE.ConeGeometry(m.canopyRadius, m.canopyHeight * 0.6, 8)
+      .translate(0, m.trunkHeight * 0.7 + m.canopyHeight * 0.3, 0), m.canopyColor),
+    paint(new THREE.ConeGeometry(m.canopyRadius * 0.7, m.canopyHeight * 0.55, 8)
+      .translate(0, m.trunkHeight * 0.7 + m.canopyHeight * 0.725, 0), m.canopyColor)
+  ]),
+  broadleaf: (m) => merge([
+    paint(new THREE.CylinderGeometry(m.trunkRadius * 0.7, m.trunkRadius, m.trunkHeight, 6)
+      .translate(0, m.trunkHeight / 2, 0), m.trunkColor),
+    paint(new THREE.IcosahedronGeometry(m.canopyRadius, 1)
+      .scale(1, 0.85, 1)
+      .translate(0, m.trunkHeight + m.canopyRadius * 0.6, 0), m.canopyColor)
+  ]),
+  bush: (m) => paint(new THREE.IcosahedronGeometry(m.radius, 1)
+    .scale(1, 0.7, 1)
+    .translate(0, m.radius * 0.5, 0), m.color),
+  boulder: (m) => {
+    const geometry = new THREE.DodecahedronGeometry(m.radius, 1)
+    // Jitter by position rather than vertex index so shared corners stay welded
+    const position = geometry.attributes.position
+    const jitter = new Map()
+    const random = createRandom(hashSeed('boulder'))
+    for (let i = 0; i < position.count; i++) {
+      const key = `${position.getX(i).toFixed(3)},${position.getY(i).toFixed(3)},${position.getZ(i).toFixed(3)}`
+      if (!jitter.has(key)) jitter.set(key, 0.75 + random() * 0.4)
+      const s = jitter.get(key)
+      position.setXYZ(i, position.getX(i) * s, position.getY(i) * s * 0.65, position.getZ(i) * s)
+    }
+    geometry.translate(0, m.radius * 0.3, 0)
+    return paint(geometry, m.color)
+  },
+  cactus: (m) => {
+    const arm = (side, height) => [
+      paint(new THREE.CylinderGeometry(m.radius * 0.6, m.radius * 0.6, m.radius * 2.5, 6)
+        .rotateZ(Math.PI / 2)
+        .translate(side * m.radius * 1.5, height, 0), m.color),
+      paint(new THREE.CylinderGeometry(m.radius * 0.6, m.radius * 0.6, m.height * 0.3, 6)
+        .translate(side * m.radius * 2.6, height + m.height * 0.15, 0), m.color)
+    ]
+    return merge([
+      paint(new THREE.CylinderGeometry(m.radius, m.radius, m.height, 8)
+        .translate(0, m.height / 2, 0), m.color),
+      ...arm(1, m.height * 0.45),
+      ...arm(-1, m.height * 0.6)
+    ])
+  }
+}
+
+// Vertex-coloured geometry for a rule's model, standing on y = 0
+export function createPropGeometry(rule) {
+  const build = MODEL_BUILDERS[rule.model.type]
+  if (!build) throw new Error(`Unknown scatter model type "${rule.model.type}" in rule "${rule.id}"`)
+  return build(rule.model)
+}
+
+// Instanced props streamed per chunk from the scatter rules. Each rule gets
+// one shared geometry and material; each chunk gets one InstancedMesh per
+// rule with props in it.
+export function createScatterSystem({ scene, chunkSize = CHUNK_SIZE }) {
+  const group = new THREE.Group()
+  group.name = 'scatter'
+  scene.add(group)
+
+  const models = new Map() // rule id -> { geometry, material }
+  const chunks = new Map() // key -> { chunkX, chunkZ, meshes }
+
+  const getModel = (rule) => {
+    if (!models.has(rule.id)) {
+      models.set(rule.id, {
+        geometry: createPropGeometry(rule),
+        material: new THREE.MeshStandardMaterial({ vertexColors: true, flatShading: true, roughness: 0.9 })
+      })
+    }
+    return models.get(rule.id)
+  }
+
+  const matrix = new THREE.Matrix4()
+  const pos = new THREE.Vector3()
+  const quat = new THREE.Quaternion()
+  const scl = new THREE.Vector3()
+  const up = new THREE.Vector3(0, 1, 0)
+
+  const setChunk = (key, data) => {
+    removeChunk(key)
+    const meshes = []
+    for (const rule of SCATTER_RULES) {
+      const instances = data.props[rule.id]
+      if (!instances) continue
+
+      const { geometry, material } = getModel(rule)
+      const count = instances.length / 5
+      const mesh = new THREE.InstancedMesh(geometry, material, count)
+      for (let i = 0; i < count; i++) {
+        pos.set(instances[i * 5], instances[i * 5 + 1] - PROP_GROUND_SINK, instances[i * 5 + 2])
+        quat.setFromAxisAngle(up, instances[i * 5 + 3])
+        scl.setScalar(instances[i * 5 + 4])
+        mesh.setMatrixAt(i, matrix.compose(pos, quat, scl))
+      }
+      mesh.instanceMatrix.needsUpdate = true
+      mesh.computeBoundingSphere()
+      mesh.castShadow = true
+      mesh.receiveShadow = true
+      mesh.name = `scatter_${rule.id}_${key}`
+      mesh.userData.drawDistance = rule.drawDistance || DEFAULT_DRAW_DISTANCE
+      group.add(mesh)
+      meshes.push(mesh)
+    }
+    chunks.set(key, { chunkX: data.chunkX, chunkZ: data.chunkZ, meshes })
+  }
+
+  const removeChunk = (key) => {
+    const chunk = chunks.get(key)
+    if (!chunk) return
+    chunk.meshes.forEach((mesh) => {
+      group.remove(mesh)
+      mesh.dispose()
+    })
+    chunks.delete(key)
+  }
+
+  // Hide props on chunks beyond their rule's draw distance
+  const update = (position) => {
+    const half = chunkSize / 2
+    for (const chunk of chunks.values()) {
+      const nearestX = Math.max(chunk.chunkX * chunkSize - half, Math.min(position.x, chunk.chunkX * chunkSize + half))
+      const nearestZ = Math.max(chunk.chunkZ * chunkSize - half, Math.min(position.z, chunk.chunkZ * chunkSize + half))
+      const distance = Math.hypot(nearestX - position.x, nearestZ - position.z)
+      chunk.meshes.forEach((mesh) => {
+        mesh.visible = distance <= mesh.userData.drawDistance
+      })
+    }
+  }
+
+  const dispose = () => {
+    for (const key of [...chunks.keys()]) removeChunk(key)
+    scene.remove(group)
+    for (const { geometry, material } of models.values()) {
+      geometry.dispose()
+      material.dispose()
+    }
+    models.clear()
+  }
+
+  return { setChunk, removeChunk, update, dispose }
+}
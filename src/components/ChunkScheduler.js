@@ -0,0 +1,103 @@
+// Main-thread time per frame for putting finished chunks into the world (ms)
+export const DEFAULT_STREAMING_BUDGET = 4
+
+const now = () => (typeof performance === 'undefined' ? Date.now() : performance.now())
+
+// Orders chunk work for the terrain world. Each key has at most one job:
+// { chunkX, chunkZ, lod } plus either data (already built, e.g. cached) or
+// run(), which builds it and returns a promise. Jobs wait in a queue and are
+// started most urgent first (lowest getPriority(job)), with at most
+// maxInFlight running at once so the queue can still be reordered or pruned.
+// Finished chunks are handed to onReady(key, job, data) in update(), most
+// urgent first, until the frame's budget (ms) is used up; at least one goes
+// through every frame so streaming never stalls. Jobs replaced or pruned
+// before they finish are dropped without calling onReady.
+export function createChunkScheduler({
+  getPriority,
+  onReady,
+  onError = (key, error) => console.error(`Error generating chunk ${key}:`, error),
+  maxInFlight = 2,
+  budget = DEFAULT_STREAMING_BUDGET
+}) {
+  const jobs = new Map() // key -> the job that's current for it
+  let queued = [] // waiting to start
+  let ready = [] // { key, job, data }, waiting to go into the world
+  let inFlight = 0
+  let disposed = false
+
+  const isCurrent = (key, job) => jobs.get(key) === job
+
+  const has = (key, lod) => jobs.has(key) && (lod === undefined || jobs.get(key).lod === lod)
+
+  const request = (key, job) => {
+    jobs.set(key, job)
+    queued = queued.filter((entry) => entry.key !== key)
+    ready = ready.filter((entry) => entry.key !== key)
+    if (job.data) ready.push({ key, job, data: job.data })
+    else queued.push({ key, job })
+  }
+
+  const cancel = (key) => {
+    if (!jobs.delete(key)) return
+    queued = queued.filter((entry) => entry.key !== key)
+    ready = ready.filter((entry) => entry.key !== key)
+  }
+
+  // Cancels every job isWanted(key, job) turns down
+  const prune = (isWanted) => {
+    for (const [key, job] of jobs) {
+      if (!isWanted(key, job)) cancel(key)
+    }
+  }
+
+  const start = ({ key, job }) => {
+    inFlight++
+    job.run()
+      .then((data) => {
+        if (!disposed && isCurrent(key, job)) ready.push({ key, job, data })
+      })
+      .catch((error) => {
+        if (disposed || !isCurrent(key, job)) return
+        jobs.delete(key)
+        onError(key, error)
+      })
+      .finally(() => {
+        inFlight--
+      })
+  }
+
+  // Priorities move with the focus and the view, so sort afresh every frame
+  const byPriority = (entries) => entries
+    .map((entry) => ({ entry, priority: getPriority(entry.job) }))
+    .sort((a, b) => a.priority - b.priority)
+    .map(({ entry }) => entry)
+
+  const update = () => {
+    if (disposed) return
+    if (queued.length > 0 && inFlight < maxInFlight) {
+      queued = byPriority(queued)
+      while (queued.length > 0 && inFlight < maxInFlight) start(queued.shift())
+    }
+
+    if (ready.length === 0) return
+    ready = byPriority(ready)
+    const startTime = now()
+    do {
+      const { key, job, data } = ready.shift()
+      jobs.delete(key)
+      onReady(key, job, data)
+    } while (ready.length > 0 && now() - startTime < budget)
+  }
+
+  // Queue depth: waiting to start, being built, built but not yet in the world
+  const getStats = () => ({ queued: queued.length, inFlight, ready: ready.length })
+
+  const dispose = () => {
+    disposed = true
+    jobs.clear()
+    queued = []
+    ready = []
+  }
+
+  return { request, has, cancel, prune, update, getStats, dispose }
+}
@@ -0,0 +1,21 @@
+import { buildChunkData, getChunkTransferables } from './ChunkBuilder.js'
+import { loadTile } from './TileFormat.js'
+
+// Imported heightmap sent once by the pool, used for every job after it
+let heightmap = null
+
+// Builds chunk heightfields off the main thread; results are transferred, not copied.
+// Pre-baked tiles (job.tileUrl) are fetched and expanded instead of generated.
+self.onmessage = async (event) => {
+  if (event.data.broadcast) {
+    heightmap = event.data.broadcast.heightmap || null
+    return
+  }
+  const { id, job } = event.data
+  try {
+    const result = job.tileUrl ? await loadTile(job.tileUrl) : buildChunkData({ ...job, heightmap })
+    self.postMessage({ id, result }, getChunkTransferables(result))
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
@@ -0,0 +1,9 @@
+// Saves { name, data, type } (as exportTerrain and getSaveFile make them) through the browser
+export function downloadFile({ name, data, type }) {
+  const url = URL.createObjectURL(new Blob([data], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
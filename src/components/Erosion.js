@@ -0,0 +1,254 @@
+import { createTerrainSampler } from './Heightmap.js'
+import { createRandom, deriveSeed } from './Random.js'
+
+export const DEFAULT_EROSION = {
+  // Droplets simulated per erosion tile
+  hydraulicIterations: 12000,
+  // Steps a droplet lives for
+  dropletLifetime: 40,
+  inertia: 0.08,
+  // Sediment (m) a droplet can carry per unit of slope at unit speed and water
+  sedimentCapacity: 0.1,
+  minSedimentCapacity: 0.005,
+  erodeSpeed: 0.25,
+  depositSpeed: 0.25,
+  evaporateSpeed: 0.02,
+  gravity: 4,
+  // Radius (in tile cells) of the area a droplet wears away
+  erosionRadius: 2,
+  // Passes of thermal weathering after the droplets
+  thermalIterations: 10,
+  // Steepest slope loose material settles at (degrees)
+  talusAngle: 38,
+  // Share of the excess above the talus slope moved per pass
+  thermalRate: 0.25
+}
+
+// Erosion runs on fixed tiles in world space rather than per chunk. Tiles are
+// centred EROSION_TILE_SPACING apart and reach the same distance either side,
+// and their results are blended with tent weights that sum to one, so every
+// point mixes four overlapping tiles and the result depends only on where it
+// is: chunks line up at the seams whatever their resolution or load order.
+const EROSION_TILE_SPACING = 100
+const EROSION_TILE_CELLS = 128
+// Deposited height (m) that counts as full sediment
+const SEDIMENT_MASK_SCALE = 0.4
+// Droplet water passing through a cell that counts as fully wet
+const WETNESS_MASK_SCALE = 12
+// Enough for the rings of tiles a worker needs while chunks stream outwards,
+// at every LOD out to the load distance
+const EROSION_TILE_CACHE_SIZE = 160
+const EROSION_SEED_SALT = 0x65726f64
+
+// Heights and gradient at a fractional grid position, bilinear
+function sampleGrid(heights, size, x, z, out) {
+  const ix = Math.floor(x)
+  const iz = Math.floor(z)
+  const fx = x - ix
+  const fz = z - iz
+  const i = iz * size + ix
+  const h00 = heights[i]
+  const h10 = heights[i + 1]
+  const h01 = heights[i + size]
+  const h11 = heights[i + size + 1]
+  out.gradientX = (h10 - h00) * (1 - fz) + (h11 - h01) * fz
+  out.gradientZ = (h01 - h00) * (1 - fx) + (h11 - h10) * fx
+  out.height = h00 * (1 - fx) * (1 - fz) + h10 * fx * (1 - fz) + h01 * (1 - fx) * fz + h11 * fx * fz
+  return out
+}
+
+// Cells within radius of the origin and their normalised weights
+function createBrush(radius) {
+  const offsets = []
+  const weights = []
+  const r = Math.ceil(radius)
+  let total = 0
+  for (let dz = -r; dz <= r; dz++) {
+    for (let dx = -r; dx <= r; dx++) {
+      const weight = radius - Math.hypot(dx, dz)
+      if (weight <= 0) continue
+      offsets.push([dx, dz])
+      weights.push(weight)
+      total += weight
+    }
+  }
+  return { offsets, weights: weights.map((w) => w / total) }
+}
+
+// Droplet hydraulic erosion followed by thermal weathering on a square
+// heightmap (size x size, cellSize metres apart). Heights change in place.
+// Returns per-cell deposited height and the water that flowed through.
+export function erodeHeightmap(heights, size, cellSize, random, settings = DEFAULT_EROSION) {
+  const s = { ...DEFAULT_EROSION, ...settings }
+  const deposited = new Float32Array(size * size)
+  const flow = new Float32Array(size * size)
+  const brush = createBrush(s.erosionRadius)
+  const sample = { height: 0, gradientX: 0, gradientZ: 0 }
+
+  for (let n = 0; n < s.hydraulicIterations; n++) {
+    let x = random() * (size - 1)
+    let z = random() * (size - 1)
+    let dirX = 0
+    let dirZ = 0
+    let speed = 1
+    let water = 1
+    let sediment = 0
+
+    for (let life = 0; life < s.dropletLifetime; life++) {
+      const nodeX = Math.floor(x)
+      const nodeZ = Math.floor(z)
+      const node = nodeZ * size + nodeX
+      const offsetX = x - nodeX
+      const offsetZ = z - nodeZ
+      const { height, gradientX, gradientZ } = sampleGrid(heights, size, x, z, sample)
+
+      dirX = dirX * s.inertia - gradientX * (1 - s.inertia)
+      dirZ = dirZ * s.inertia - gradientZ * (1 - s.inertia)
+      const length = Math.hypot(dirX, dirZ)
+      if (length === 0) break
+      dirX /= length
+      dirZ /= length
+      x += dirX
+      z += dirZ
+      flow[node] += water
+      if (x < 0 || z < 0 || x >= size - 1 || z >= size - 1) break
+
+      // Height is in metres, steps are one cell: scale the drop per metre moved
+      const deltaHeight = sampleGrid(heights, size, x, z, sample).height - height
+      const drop = -deltaHeight / cellSize
+      const capacity = Math.max(drop * speed * water * s.sedimentCapacity, s.minSedimentCapacity)
+
+      if (sediment > capacity || deltaHeight > 0) {
+        // Going uphill fills the hole behind; otherwise drop the excess
+        const amount = deltaHeight > 0 ? Math.min(deltaHeight, sediment) : (sediment - capacity) * s.depositSpeed
+        sediment -= amount
+        heights[node] += amount * (1 - offsetX) * (1 - offsetZ)
+        heights[node + 1] += amount * offsetX * (1 - offsetZ)
+        heights[node + size] += amount * (1 - offsetX) * offsetZ
+        heights[node + size + 1] += amount * offsetX * offsetZ
+        deposited[node] += amount
+      } else {
+        const amount = Math.min((capacity - sediment) * s.erodeSpeed, -deltaHeight)
+        for (let b = 0; b < brush.offsets.length; b++) {
+          const bx = nodeX + brush.offsets[b][0]
+          const bz = nodeZ + brush.offsets[b][1]
+          if (bx < 0 || bz < 0 || bx >= size || bz >= size) continue
+          const worn = amount * brush.weights[b]
+          heights[bz * size + bx] -= worn
+          sediment += worn
+        }
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed + drop * s.gravity))
+      water *= 1 - s.evaporateSpeed
+    }
+  }
+
+  // Thermal weathering: anything steeper than the talus angle slumps downhill
+  const talus = Math.tan(s.talusAngle * Math.PI / 180) * cellSize
+  const change = new Float32Array(size * size)
+  for (let n = 0; n < s.thermalIterations; n++) {
+    change.fill(0)
+    for (let iz = 1; iz < size - 1; iz++) {
+      for (let ix = 1; ix < size - 1; ix++) {
+        const i = iz * size + ix
+        for (const j of [i - 1, i + 1, i - size, i + size]) {
+          const excess = heights[i] - heights[j] - talus
+          if (excess <= 0) continue
+          const amount = excess * s.thermalRate * 0.25
+          change[i] -= amount
+          change[j] += amount
+        }
+      }
+    }
+    for (let i = 0; i < change.length; i++) {
+      heights[i] += change[i]
+      if (change[i] > 0) deposited[i] += change[i]
+    }
+  }
+
+  return { deposited, flow }
+}
+
+// World-space erosion for a seed: sample(x, z) gives the height change and
+// the sediment/wetness masks (0-1) at any point, blended from the tiles.
+// Tiles erode the generator heights, or the imported ones with a heightmap.
+export function createErosionField({ seed, settings = DEFAULT_EROSION, heightmap = null }) {
+  const sampleTerrain = createTerrainSampler({ seed, heightmap })
+  const tileSize = EROSION_TILE_SPACING * 2
+  const cellSize = tileSize / EROSION_TILE_CELLS
+  const size = EROSION_TILE_CELLS + 1
+  const tiles = new Map() // key -> { delta, sediment, wetness }, oldest first
+
+  const buildTile = (tileX, tileZ) => {
+    const originX = tileX * EROSION_TILE_SPACING - EROSION_TILE_SPACING
+    const originZ = tileZ * EROSION_TILE_SPACING - EROSION_TILE_SPACING
+    const heights = new Float32Array(size * size)
+    for (let iz = 0; iz < size; iz++) {
+      for (let ix = 0; ix < size; ix++) {
+        heights[iz * size + ix] = sampleTerrain(originX + ix * cellSize, originZ + iz * cellSize).height
+      }
+    }
+    const original = Float32Array.from(heights)
+    const random = createRandom(deriveSeed(seed, tileX, tileZ, EROSION_SEED_SALT))
+    const { deposited, flow } = erodeHeightmap(heights, size, cellSize, random, settings)
+
+    const delta = new Float32Array(size * size)
+    const sediment = new Float32Array(size * size)
+    const wetness = new Float32Array(size * size)
+    for (let i = 0; i < delta.length; i++) {
+      delta[i] = heights[i] - original[i]
+      sediment[i] = Math.min(1, deposited[i] / SEDIMENT_MASK_SCALE)
+      wetness[i] = 1 - Math.exp(-flow[i] / WETNESS_MASK_SCALE)
+    }
+    return { originX, originZ, delta, sediment, wetness }
+  }
+
+  const getTile = (tileX, tileZ) => {
+    const key = `${tileX},${tileZ}`
+    let tile = tiles.get(key)
+    if (tile) {
+      tiles.delete(key)
+    } else {
+      tile = buildTile(tileX, tileZ)
+      if (tiles.size >= EROSION_TILE_CACHE_SIZE) tiles.delete(tiles.keys().next().value)
+    }
+    tiles.set(key, tile)
+    return tile
+  }
+
+  const bilinear = (values, u, v) => {
+    const ix = Math.min(size - 2, Math.floor(u))
+    const iz = Math.min(size - 2, Math.floor(v))
+    const fx = u - ix
+    const fz = v - iz
+    const i = iz * size + ix
+    return values[i] * (1 - fx) * (1 - fz) + values[i + 1] * fx * (1 - fz) +
+      values[i + size] * (1 - fx) * fz + values[i + size + 1] * fx * fz
+  }
+
+  const sample = (x, z, target = { delta: 0, sediment: 0, wetness: 0 }) => {
+    target.delta = 0
+    target.sediment = 0
+    target.wetness = 0
+    const baseX = Math.floor(x / EROSION_TILE_SPACING)
+    const baseZ = Math.floor(z / EROSION_TILE_SPACING)
+    for (let tileZ = baseZ; tileZ <= baseZ + 1; tileZ++) {
+      const weightZ = 1 - Math.abs(z / EROSION_TILE_SPACING - tileZ)
+      if (weightZ <= 0) continue
+      for (let tileX = baseX; tileX <= baseX + 1; tileX++) {
+        const weight = weightZ * (1 - Math.abs(x / EROSION_TILE_SPACING - tileX))
+        if (weight <= 0) continue
+        const tile = getTile(tileX, tileZ)
+        const u = (x - tile.originX) / cellSize
+        const v = (z - tile.originZ) / cellSize
+        target.delta += bilinear(tile.delta, u, v) * weight
+        target.sediment += bilinear(tile.sediment, u, v) * weight
+        target.wetness += bilinear(tile.wetness, u, v) * weight
+      }
+    }
+    return target
+  }
+
+  return { sample }
+}
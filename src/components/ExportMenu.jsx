@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { createWorkerPool } from './WorkerPool.js'
+import { buildRegionChunks, exportTerrain, EXPORT_FORMATS } from './TerrainExport.js'
+import { downloadFile } from './Download.js'
+
+const FORMAT_LABELS = {
+  glb: 'glTF binary (.glb)',
+  gltf: 'glTF (.gltf)',
+  obj: 'OBJ',
+  heightmap: 'Heightmap (16-bit PNG)',
+  biomes: 'Biome mask (PNG)'
+}
+
+// Export panel: the loaded chunks as they are, or a region rebuilt at full
+// resolution in a worker pool of its own, to glTF/OBJ/heightmap/biome files
+export default function ExportMenu({ seed, heightmap = null, waterLevel, erosion = null, getLoadedChunks }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [source, setSource] = useState('loaded')
+  const [region, setRegion] = useState({ minX: -200, minZ: -200, maxX: 200, maxZ: 200 })
+  const [formats, setFormats] = useState(['glb', 'heightmap', 'biomes'])
+  const [includeProps, setIncludeProps] = useState(true)
+  const [status, setStatus] = useState(null)
+  const [isBusy, setIsBusy] = useState(false)
+
+  const toggleFormat = (format) => {
+    setFormats((current) => (current.includes(format) ? current.filter((f) => f !== format) : [...current, format]))
+  }
+
+  const handleExport = async () => {
+    setIsBusy(true)
+    let pool = null
+    try {
+      let chunks
+      if (source === 'loaded') {
+        chunks = getLoadedChunks ? getLoadedChunks() : []
+      } else {
+        setStatus('Building chunks...')
+        pool = createWorkerPool(
+          () => new Worker(new URL('./ChunkWorker.js', import.meta.url), { type: 'module' }),
+          Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))
+        )
+        if (heightmap) pool.broadcast({ heightmap })
+        chunks = await buildRegionChunks({ seed, ...region, waterLevel, erosion, pool })
+      }
+      if (chunks.length === 0) throw new Error('No chunks loaded yet')
+
+      setStatus('Exporting...')
+      const files = await exportTerrain(chunks, {
+        formats: EXPORT_FORMATS.filter((format) => formats.includes(format)),
+        name: `terrain-${seed}`,
+        props: includeProps,
+        seed,
+        heightmap
+      })
+      files.forEach(downloadFile)
+      setStatus(`Exported ${files.length} file${files.length === 1 ? '' : 's'} from ${chunks.length} chunks`)
+    } catch (error) {
+      console.error('Export failed:', error)
+      setStatus(`Export failed: ${error.message}`)
+    } finally {
+      if (pool) pool.dispose()
+      setIsBusy(false)
+    }
+  }
+
+  // Keep typing and clicks in the panel away from the player controls
+  const stopPropagation = (event) => event.stopPropagation()
+
+  return (
+    <div
+      className="absolute top-4 right-4 z-20 text-white text-sm font-mono"
+      onKeyDown={stopPropagation}
+      onKeyUp={stopPropagation}
+      onClick={stopPropagation}
+    >
+      <button
+        className="px-3 py-1 rounded bg-black/50 hover:bg-black/70"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        Export
+      </button>
+      {isOpen && (
+        <div className="mt-2 p-3 w-72 rounded bg-black/70 space-y-3">
+          <div className="space-y-1">
+            <label className="flex gap-2 items-center">
+              <input type="radio" checked={source === 'loaded'} onChange={() => setSource('loaded')} />
+              Loaded chunks
+            </label>
+            <label className="flex gap-2 items-center">
+              <input type="radio" checked={source === 'region'} onChange={() => setSource('region')} />
+              Region (rounded out to whole chunks)
+            </label>
+            {source === 'region' && (
+              <div className="grid grid-cols-2 gap-1 pl-5">
+                {['minX', 'minZ', 'maxX', 'maxZ'].map((key) => (
+                  <label key={key} className="flex gap-1 items-center">
+                    <span className="w-10">{key}</span>
+                    <input
+                      type="number"
+                      className="w-full px-1 rounded bg-white/10"
+                      value={region[key]}
+                      onChange={(event) => setRegion({ ...region, [key]: Number(event.target.value) })}
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="space-y-1">
+            {EXPORT_FORMATS.map((format) => (
+              <label key={format} className="flex gap-2 items-center">
+                <input type="checkbox" checked={formats.includes(format)} onChange={() => toggleFormat(format)} />
+                {FORMAT_LABELS[format]}
+              </label>
+            ))}
+            <label className="flex gap-2 items-center">
+              <input type="checkbox" checked={includeProps} onChange={() => setIncludeProps(!includeProps)} />
+              Include trees and rocks
+            </label>
+          </div>
+          <button
+            className="w-full px-3 py-1 rounded bg-white/20 hover:bg-white/30 disabled:opacity-50"
+            disabled={isBusy || formats.length === 0}
+            onClick={handleExport}
+          >
+            {isBusy ? 'Working...' : 'Export'}
+          </button>
+          {status && <div className="text-xs opacity-80">{status}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,148 @@
+import { getTerrainHeight } from './Terrain.js'
+import { createSeededNoise2D } from './Random.js'
+import { decodePng } from './Png.js'
+
+// Height range (m) grayscale images map onto when none is given
+const DEFAULT_IMAGE_HEIGHT_RANGE = [0, 100]
+
+// Raw tiles are little-endian Float32, row by row; they carry no size
+function decodeRaw(buffer, width, height) {
+  if (!width || !height) throw new Error('Raw heightmaps need a width and height')
+  if (buffer.byteLength < width * height * 4) throw new Error(`Raw heightmap is smaller than ${width}x${height}`)
+  const view = new DataView(buffer)
+  const values = new Float32Array(width * height)
+  for (let i = 0; i < values.length; i++) values[i] = view.getFloat32(i * 4, true)
+  return { width, height, values }
+}
+
+// Turns a PNG or raw Float32 file into a heightmap terrain source.
+//   worldScale: metres between neighbouring pixels
+//   heightRange: [min, max] metres the 0-1 image values map to. Raw values
+//     are used as metres unless a range is given.
+//   center: world [x, z] of the middle of the image. Image rows run along +z.
+//   mode: 'replace' uses the heightmap everywhere (clamped at its edges),
+//     'blend' fades it into the generator over blendDistance metres at its
+//     edges, further weighted by the optional mask (same size, 0-1).
+// The result is plain data, so it can be posted to the chunk workers.
+export async function parseHeightmap(buffer, {
+  format = 'png',
+  width,
+  height,
+  worldScale = 1,
+  heightRange = null,
+  center = [0, 0],
+  mode = 'blend',
+  blendDistance = 50,
+  mask = null
+} = {}) {
+  if (mode !== 'blend' && mode !== 'replace') throw new Error(`Unknown heightmap mode "${mode}"`)
+  const image = format === 'raw' ? decodeRaw(buffer, width, height) : await decodePng(buffer)
+  if (image.width < 2 || image.height < 2) throw new Error('Heightmaps need at least 2x2 pixels')
+  const [minHeight, maxHeight] = heightRange || (format === 'raw' ? [0, 1] : DEFAULT_IMAGE_HEIGHT_RANGE)
+  const data = image.values.map((value) => minHeight + value * (maxHeight - minHeight))
+
+  let maskValues = null
+  if (mask) {
+    const maskImage = await decodePng(mask)
+    if (maskImage.width !== image.width || maskImage.height !== image.height) {
+      throw new Error('Heightmap mask must be the same size as the heightmap')
+    }
+    maskValues = maskImage.values
+  }
+
+  return {
+    width: image.width,
+    height: image.height,
+    data,
+    mask: maskValues,
+    worldScale,
+    originX: center[0] - ((image.width - 1) * worldScale) / 2,
+    originZ: center[1] - ((image.height - 1) * worldScale) / 2,
+    mode,
+    blendDistance
+  }
+}
+
+// Fetches url (and maskUrl) and parses them, see parseHeightmap
+export async function loadHeightmap({ url, maskUrl = null, ...options }) {
+  const fetchBuffer = async (target) => {
+    const response = await fetch(target)
+    if (!response.ok) throw new Error(`Failed to load heightmap ${target}: ${response.status}`)
+    return response.arrayBuffer()
+  }
+  const [buffer, mask] = await Promise.all([fetchBuffer(url), maskUrl ? fetchBuffer(maskUrl) : null])
+  return parseHeightmap(buffer, { ...options, mask })
+}
+
+function bilinear(values, width, height, u, v) {
+  const cu = Math.min(width - 1, Math.max(0, u))
+  const cv = Math.min(height - 1, Math.max(0, v))
+  const ix = Math.min(width - 2, Math.floor(cu))
+  const iz = Math.min(height - 2, Math.floor(cv))
+  const fx = cu - ix
+  const fz = cv - iz
+  const i = iz * width + ix
+  return values[i] * (1 - fx) * (1 - fz) + values[i + 1] * fx * (1 - fz) +
+    values[i + width] * (1 - fx) * fz + values[i + width + 1] * fx * fz
+}
+
+// The terrain source everything samples: getTerrainHeight for the seed, with
+// the heightmap (if any) replacing or blending into its heights. Biome
+// weights always come from the generator. Same result shape as
+// getTerrainHeight, so it drops in wherever that was used.
+export function createTerrainSampler({ seed, heightmap = null }) {
+  const noise2D = createSeededNoise2D(seed)
+  if (!heightmap) return (x, z) => getTerrainHeight(x, z, noise2D)
+
+  const { width, height, data, mask, worldScale, originX, originZ, mode, blendDistance } = heightmap
+  const sizeX = (width - 1) * worldScale
+  const sizeZ = (height - 1) * worldScale
+
+  return (x, z) => {
+    const terrain = getTerrainHeight(x, z, noise2D)
+    const u = (x - originX) / worldScale
+    const v = (z - originZ) / worldScale
+    let weight = 1
+    if (mode === 'blend') {
+      // Distance inside the covered rectangle, fading to nothing at its edge
+      const inside = Math.min(x - originX, originX + sizeX - x, z - originZ, originZ + sizeZ - z)
+      if (inside <= 0) return terrain
+      weight = blendDistance > 0 ? Math.min(1, inside / blendDistance) : 1
+      if (mask) weight *= bilinear(mask, width, height, u, v)
+    }
+    const imported = bilinear(data, width, height, u, v)
+    terrain.height += (imported - terrain.height) * weight
+    return terrain
+  }
+}
+
+// Heightmap options from the page URL, or null without ?heightmap=<url>.
+//   ?heightmap=maps/valley.png&heightmapScale=2&heightmapRange=0,180
+//   &heightmapMode=replace&heightmapMask=maps/valley-mask.png
+// Raw Float32 files (.raw, .f32, .bin) also need &heightmapSize=<w>x<h>.
+export function getHeightmapOptionsFromUrl() {
+  const params = new URLSearchParams(window.location.search)
+  const url = params.get('heightmap')
+  if (!url) return null
+
+  // Missing or empty params give no numbers, so the defaults stay
+  const numbers = (name) => {
+    const raw = params.get(name)
+    if (!raw) return []
+    return raw.split(/[,x]/).filter((part) => part.trim() !== '').map(Number).filter(Number.isFinite)
+  }
+  const options = { url, format: /\.(raw|f32|bin)$/i.test(url) ? 'raw' : 'png' }
+  const [width, height] = numbers('heightmapSize')
+  if (width && height) Object.assign(options, { width, height })
+  const [worldScale] = numbers('heightmapScale')
+  if (worldScale > 0) options.worldScale = worldScale
+  const range = numbers('heightmapRange')
+  if (range.length === 2) options.heightRange = range
+  const center = numbers('heightmapCenter')
+  if (center.length === 2) options.center = center
+  if (params.get('heightmapMode')) options.mode = params.get('heightmapMode')
+  const [blendDistance] = numbers('heightmapBlend')
+  if (blendDistance >= 0) options.blendDistance = blendDistance
+  if (params.get('heightmapMask')) options.maskUrl = params.get('heightmapMask')
+  return options
+}
@@ -0,0 +1,16 @@
+// Opens a database, creating its object stores on first use
+export const openDatabase = (name, storeNames) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, 1)
+  request.onupgradeneeded = () => storeNames.forEach((storeName) => request.result.createObjectStore(storeName))
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+// Runs one request against a store and resolves with its result once committed
+export const runInStore = (db, storeName, mode, makeRequest) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, mode)
+  const request = makeRequest(transaction.objectStore(storeName))
+  transaction.oncomplete = () => resolve(request.result)
+  transaction.onerror = () => reject(transaction.error)
+  transaction.onabort = () => reject(transaction.error)
+})
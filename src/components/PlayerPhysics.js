@@ -0,0 +1,262 @@
+// Player simulation, stepped at a fixed rate so movement is identical at any
+// frame rate. Everything is in real units: metres, seconds, m/s and m/s².
+export const FIXED_TIMESTEP = 1 / 60
+// Cap on simulation steps per rendered frame, so a long stall can't spiral
+export const MAX_STEPS_PER_FRAME = 5
+
+export const DEFAULT_PLAYER_TUNING = {
+  walkSpeed: 4.8, // m/s
+  sprintMultiplier: 2.5,
+  gravity: 36, // m/s²
+  jumpSpeed: 15, // m/s
+  // Approximate "eye height" of the player above the terrain
+  eyeHeight: 2.6,
+  groundSnapDistance: 0.05,
+  // Steepest ground (degrees) the player can walk up; steeper ground slides
+  maxSlopeAngle: 45,
+  // Tallest rise the player can step up onto, however steep (m)
+  stepHeight: 0.6,
+  // Speed multipliers when walking straight up/down a slope at maxSlopeAngle
+  uphillSpeedFactor: 0.55,
+  downhillSpeedFactor: 1.25,
+  // How fast sliding stops once back on walkable ground (1/s)
+  slideFriction: 6,
+  // Horizontal size of the player's body when bumping into props (m)
+  radius: 0.4,
+  // Height of the eye above the water surface while floating
+  swimSurfaceOffset: 0.2,
+  swimSpeedFactor: 0.5,
+  // Net upward acceleration when well under water, and extra while holding jump (m/s²)
+  buoyancy: 6,
+  swimUpAcceleration: 10,
+  // How quickly water slows the player down (1/s)
+  waterDrag: 3
+}
+
+// How far ahead to look for the top of a steep step
+const STEP_PROBE_DISTANCE = 2
+const STEP_PROBE_INCREMENT = 0.25
+
+// Buoyancy fades to zero at the floating height and reverses above it, over
+// this distance; further above that the player is out of the water
+const SWIM_FLOAT_BAND = 0.5
+
+const scratchNormal = { x: 0, y: 1, z: 0 }
+
+const isWalkable = (normal, tuning) => normal.y >= Math.cos(tuning.maxSlopeAngle * Math.PI / 180)
+
+// Whether a horizontal move from (fromX, fromZ) to (toX, toZ) is allowed.
+// Downhill is always fine; uphill onto ground that is too steep only works
+// if the steep part ends within stepHeight of where the player stands.
+function canMoveTo(state, fromX, fromZ, toX, toZ, terrain, tuning) {
+  const groundFrom = terrain.heightAt(fromX, fromZ)
+  const groundTo = terrain.heightAt(toX, toZ)
+  if (groundTo <= groundFrom) return true
+
+  if (!state.isGrounded) {
+    // In the air the terrain acts as a wall for the feet
+    const feet = state.position.y - tuning.eyeHeight
+    return groundTo <= feet + tuning.stepHeight
+  }
+
+  if (isWalkable(terrain.normalAt(toX, toZ, scratchNormal), tuning)) return true
+
+  const length = Math.hypot(toX - fromX, toZ - fromZ)
+  const dirX = (toX - fromX) / length
+  const dirZ = (toZ - fromZ) / length
+  for (let d = STEP_PROBE_INCREMENT; d <= STEP_PROBE_DISTANCE; d += STEP_PROBE_INCREMENT) {
+    const x = toX + dirX * d
+    const z = toZ + dirZ * d
+    if (isWalkable(terrain.normalAt(x, z, scratchNormal), tuning)) {
+      return terrain.heightAt(x, z) - groundFrom <= tuning.stepHeight
+    }
+  }
+  return false
+}
+
+// Vertical motion while swimming: buoyancy floats the player at the surface,
+// holding jump swims up faster (enough to climb out), and drag keeps it all slow
+function stepSwimming(state, input, groundLevel, floatLevel, dt, tuning) {
+  const pos = state.position
+  const submersion = Math.max(-1, Math.min(1, (floatLevel - pos.y) / SWIM_FLOAT_BAND))
+  const lift = tuning.buoyancy * submersion + (input.jump ? tuning.swimUpAcceleration : 0)
+  state.verticalVelocity += lift * dt
+  state.verticalVelocity *= Math.max(0, 1 - tuning.waterDrag * dt)
+  pos.y += state.verticalVelocity * dt
+
+  if (pos.y < groundLevel) {
+    pos.y = groundLevel
+    state.verticalVelocity = Math.max(0, state.verticalVelocity)
+  }
+  // Holding jump to swim up shouldn't turn into a jump on reaching the shore
+  state.jumpLock = input.jump
+}
+
+export function createPlayerState(x, y, z) {
+  return {
+    position: { x, y, z },
+    // Horizontal velocity picked up sliding down slopes that are too steep
+    slideVelocity: { x: 0, z: 0 },
+    // Position at the start of the last step, for interpolating the camera
+    previousPosition: { x, y, z },
+    verticalVelocity: 0,
+    isGrounded: true,
+    isSwimming: false,
+    jumpLock: false
+  }
+}
+
+// Advance the simulation by one fixed step.
+// input: { moveX, moveZ, yaw, sprint, jump } where moveX/moveZ are local
+// strafe/forward axes (-1..1, forward is -z like the camera).
+// terrain: anything with heightAt(x, z) and normalAt(x, z, target), and
+// optionally collide(position, radius, minY, maxY) to push out of props and
+// waterLevel for swimming.
+// Returns which one-off events happened during the step.
+export function stepPlayer(state, input, terrain, dt, tuning = DEFAULT_PLAYER_TUNING) {
+  const pos = state.position
+  const events = { moved: false, jumped: false, landed: false }
+
+  state.previousPosition.x = pos.x
+  state.previousPosition.y = pos.y
+  state.previousPosition.z = pos.z
+  const wasGrounded = state.isGrounded
+  const wasSwimming = state.isSwimming
+
+  const waterLevel = terrain.waterLevel === undefined ? -Infinity : terrain.waterLevel
+  const floatLevel = waterLevel + tuning.swimSurfaceOffset
+  state.isSwimming = pos.y < floatLevel + (wasSwimming ? SWIM_FLOAT_BAND : 0)
+  if (state.isSwimming) state.isGrounded = false
+
+  const inputLength = Math.hypot(input.moveX, input.moveZ)
+  if (inputLength > 0) {
+    const dirX = input.moveX / inputLength
+    const dirZ = input.moveZ / inputLength
+
+    // Forward/right on the ground plane from the camera yaw
+    const forwardX = -Math.sin(input.yaw)
+    const forwardZ = -Math.cos(input.yaw)
+    const rightX = Math.cos(input.yaw)
+    const rightZ = -Math.sin(input.yaw)
+
+    let moveX = forwardX * -dirZ + rightX * dirX
+    let moveZ = forwardZ * -dirZ + rightZ * dirX
+    const moveLength = Math.hypot(moveX, moveZ)
+    moveX /= moveLength
+    moveZ /= moveLength
+
+    // Slower uphill, faster downhill, scaled by how steep the ground is along the move
+    const { x: normalX, y: normalY, z: normalZ } = terrain.normalAt(pos.x, pos.z, scratchNormal)
+    const grade = -(normalX * moveX + normalZ * moveZ) / normalY
+    const maxGrade = Math.tan(tuning.maxSlopeAngle * Math.PI / 180)
+    const t = Math.max(-1, Math.min(1, grade / maxGrade))
+    const slopeFactor = t > 0
+      ? 1 + (tuning.uphillSpeedFactor - 1) * t
+      : 1 + (tuning.downhillSpeedFactor - 1) * -t
+
+    // Swimming is slow whatever the ground underneath does
+    const speed = state.isSwimming
+      ? tuning.walkSpeed * tuning.swimSpeedFactor
+      : (input.sprint ? tuning.walkSpeed * tuning.sprintMultiplier : tuning.walkSpeed) * slopeFactor
+    let stepX = moveX * speed * dt
+    let stepZ = moveZ * speed * dt
+
+    if (!canMoveTo(state, pos.x, pos.z, pos.x + stepX, pos.z + stepZ, terrain, tuning)) {
+      // Blocked: try to walk along the slope instead of straight up it
+      const uphillLength = Math.hypot(normalX, normalZ)
+      if (uphillLength > 0) {
+        const uphillX = -normalX / uphillLength
+        const uphillZ = -normalZ / uphillLength
+        const along = stepX * uphillX + stepZ * uphillZ
+        stepX -= along * uphillX
+        stepZ -= along * uphillZ
+      }
+      if (!canMoveTo(state, pos.x, pos.z, pos.x + stepX, pos.z + stepZ, terrain, tuning)) {
+        stepX = 0
+        stepZ = 0
+      }
+    }
+
+    pos.x += stepX
+    pos.z += stepZ
+    events.moved = stepX !== 0 || stepZ !== 0
+  }
+
+  // Slide down ground that is too steep to stand on, and bleed the slide off elsewhere
+  const slide = state.slideVelocity
+  if (state.isGrounded) {
+    const normal = terrain.normalAt(pos.x, pos.z, scratchNormal)
+    if (!isWalkable(normal, tuning)) {
+      // Gravity along the incline, projected onto the ground plane
+      const horizontal = Math.hypot(normal.x, normal.z)
+      const acceleration = tuning.gravity * horizontal * normal.y
+      slide.x += (normal.x / horizontal) * acceleration * dt
+      slide.z += (normal.z / horizontal) * acceleration * dt
+    } else {
+      const damping = Math.max(0, 1 - tuning.slideFriction * dt)
+      slide.x *= damping
+      slide.z *= damping
+    }
+  } else if (state.isSwimming) {
+    const damping = Math.max(0, 1 - tuning.waterDrag * dt)
+    slide.x *= damping
+    slide.z *= damping
+  }
+  pos.x += slide.x * dt
+  pos.z += slide.z * dt
+
+  if (terrain.collide && terrain.collide(pos, tuning.radius, pos.y - tuning.eyeHeight, pos.y)) {
+    // Walking into a tree trunk shouldn't keep sliding into it
+    slide.x = 0
+    slide.z = 0
+  }
+
+  const groundLevel = terrain.heightAt(pos.x, pos.z) + tuning.eyeHeight
+
+  if (state.isSwimming) {
+    stepSwimming(state, input, groundLevel, floatLevel, dt, tuning)
+    return events
+  }
+
+  // Check if grounded BEFORE jump check (using current position)
+  if (pos.y - groundLevel <= tuning.groundSnapDistance && state.verticalVelocity <= 0) {
+    state.isGrounded = true
+    // Reset jump lock when grounded so player can jump
+    state.jumpLock = false
+  }
+
+  // Jump (requires key release to retrigger)
+  if (input.jump && !state.jumpLock && state.isGrounded) {
+    state.verticalVelocity = tuning.jumpSpeed
+    state.isGrounded = false
+    state.jumpLock = true
+    events.jumped = true
+  }
+
+  if (!state.isGrounded) {
+    state.verticalVelocity -= tuning.gravity * dt
+  }
+
+  pos.y += state.verticalVelocity * dt
+
+  // A player who was already on the ground sticks to it over small drops
+  // (walking downhill, sliding) instead of hopping off every step
+  const snapDistance = wasGrounded && !events.jumped ? tuning.stepHeight : tuning.groundSnapDistance
+  const distanceFromGround = pos.y - groundLevel
+  const touchingGround = (distanceFromGround <= snapDistance && state.verticalVelocity <= 0) ||
+    distanceFromGround < 0
+
+  if (touchingGround) {
+    // Wading out of the water isn't a landing
+    if (!state.isGrounded && !wasSwimming) events.landed = true
+    pos.y = groundLevel
+    state.verticalVelocity = 0
+    state.isGrounded = true
+    // Reset jump lock when landing so player can jump again
+    state.jumpLock = false
+  } else {
+    state.isGrounded = false
+  }
+
+  return events
+}
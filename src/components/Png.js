@@ -0,0 +1,162 @@
+// PNG reading and writing without a canvas, so heightmaps keep their full
+// 16-bit precision and the same code runs in workers and Node scripts.
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10]
+// Samples per pixel for each PNG colour type we read/write
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }
+const PNG_COLOR_TYPES = { 1: 0, 2: 4, 3: 2, 4: 6 }
+
+// zlib streams through the Compression Streams API (browsers and Node 18+)
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c
+})
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c
+  const pa = Math.abs(p - a)
+  const pb = Math.abs(p - b)
+  const pc = Math.abs(p - c)
+  if (pa <= pb && pa <= pc) return a
+  return pb <= pc ? b : c
+}
+
+// Minimal PNG reader: non-interlaced grey, grey+alpha, RGB or RGBA at 8 or
+// 16 bits. Returns the first channel of every pixel as 0-1, rows top first.
+export async function decodePng(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('Not a PNG file')
+
+  let width = 0
+  let height = 0
+  let bitDepth = 0
+  let colorType = 0
+  const idat = []
+  let offset = PNG_SIGNATURE.length
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset)
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    const data = bytes.subarray(offset + 8, offset + 8 + length)
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8)
+      height = view.getUint32(offset + 12)
+      bitDepth = data[8]
+      colorType = data[9]
+      if (data[12] !== 0) throw new Error('Interlaced PNGs are not supported')
+    } else if (type === 'IDAT') {
+      idat.push(data)
+    } else if (type === 'IEND') {
+      break
+    }
+    offset += length + 12
+  }
+
+  const channels = PNG_CHANNELS[colorType]
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG (colour type ${colorType}, ${bitDepth}-bit)`)
+  }
+
+  const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0))
+  idat.reduce((at, chunk) => { compressed.set(chunk, at); return at + chunk.length }, 0)
+  const raw = await inflate(compressed)
+
+  // Undo the per-row filters in place
+  const bytesPerPixel = channels * (bitDepth / 8)
+  const stride = width * bytesPerPixel
+  const pixels = new Uint8Array(stride * height)
+  for (let row = 0; row < height; row++) {
+    const filter = raw[row * (stride + 1)]
+    const line = raw.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1))
+    const out = row * stride
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? pixels[out + i - bytesPerPixel] : 0
+      const up = row > 0 ? pixels[out - stride + i] : 0
+      const upLeft = row > 0 && i >= bytesPerPixel ? pixels[out - stride + i - bytesPerPixel] : 0
+      let value = line[i]
+      if (filter === 1) value += left
+      else if (filter === 2) value += up
+      else if (filter === 3) value += (left + up) >> 1
+      else if (filter === 4) value += paeth(left, up, upLeft)
+      pixels[out + i] = value
+    }
+  }
+
+  const values = new Float32Array(width * height)
+  for (let i = 0; i < values.length; i++) {
+    const o = i * bytesPerPixel
+    values[i] = bitDepth === 16 ? ((pixels[o] << 8) | pixels[o + 1]) / 65535 : pixels[o] / 255
+  }
+  return { width, height, values }
+}
+
+// Minimal PNG writer. samples holds channels (1-4: grey, grey+alpha, RGB,
+// RGBA) values per pixel, rows top first, as 0-255 (bitDepth 8) or 0-65535
+// (bitDepth 16). text entries become tEXt chunks (latin-1 keys and values).
+export async function encodePng({ width, height, channels = 1, bitDepth = 8, samples, text = {} }) {
+  const colorType = PNG_COLOR_TYPES[channels]
+  if (colorType === undefined || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG (${channels} channels, ${bitDepth}-bit)`)
+  }
+
+  // Every row unfiltered: heightmaps are smooth enough that zlib does fine
+  const bytesPerSample = bitDepth / 8
+  const stride = width * channels * bytesPerSample
+  const raw = new Uint8Array((stride + 1) * height)
+  for (let row = 0; row < height; row++) {
+    for (let i = 0; i < width * channels; i++) {
+      const value = samples[row * width * channels + i]
+      const o = row * (stride + 1) + 1 + i * bytesPerSample
+      if (bitDepth === 16) {
+        raw[o] = value >> 8
+        raw[o + 1] = value & 255
+      } else {
+        raw[o] = value
+      }
+    }
+  }
+
+  const header = new Uint8Array(13)
+  const headerView = new DataView(header.buffer)
+  headerView.setUint32(0, width)
+  headerView.setUint32(4, height)
+  header.set([bitDepth, colorType, 0, 0, 0], 8)
+
+  const latin1 = (str) => Uint8Array.from(str, (c) => c.charCodeAt(0) & 255)
+  const chunks = [
+    ['IHDR', header],
+    ...Object.entries(text).map(([key, value]) => ['tEXt', latin1(`${key}\0${value}`)]),
+    ['IDAT', await deflate(raw)],
+    ['IEND', new Uint8Array(0)]
+  ]
+
+  const size = PNG_SIGNATURE.length + chunks.reduce((sum, [, data]) => sum + data.length + 12, 0)
+  const png = new Uint8Array(size)
+  const view = new DataView(png.buffer)
+  png.set(PNG_SIGNATURE)
+  let offset = PNG_SIGNATURE.length
+  for (const [type, data] of chunks) {
+    view.setUint32(offset, data.length)
+    png.set(latin1(type), offset + 4)
+    png.set(data, offset + 8)
+    view.setUint32(offset + 8 + data.length, crc32(png.subarray(offset + 4, offset + 8 + data.length)))
+    offset += data.length + 12
+  }
+  return png
+}
@@ -0,0 +1,67 @@
+import { createNoise2D } from 'simplex-noise'
+
+// Hash a seed (number or any string) into an unsigned 32-bit integer
+export function hashSeed(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) return value >>> 0
+
+  const str = String(value)
+  // FNV-1a
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// Combine a seed with extra integer keys (e.g. chunk coordinates) into a new seed
+export function deriveSeed(seed, ...keys) {
+  let hash = hashSeed(seed)
+  for (const key of keys) {
+    hash = Math.imul(hash ^ (key | 0), 0x9e3779b1)
+    hash ^= hash >>> 16
+    hash = Math.imul(hash, 0x85ebca6b)
+    hash ^= hash >>> 13
+  }
+  return hash >>> 0
+}
+
+// Small, fast PRNG (mulberry32) returning values in [0, 1) like Math.random
+export function createRandom(seed) {
+  let state = hashSeed(seed)
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Same seed -> same permutation table -> same noise field on every machine
+export function createSeededNoise2D(seed) {
+  return createNoise2D(createRandom(seed))
+}
+
+// The world seed ?seed= asks for, or null if there isn't one
+export function getSeedFromUrl() {
+  const fromUrl = new URLSearchParams(window.location.search).get('seed')
+  if (fromUrl === null || fromUrl === '') return null
+  return /^\d+$/.test(fromUrl) ? hashSeed(Number(fromUrl)) : hashSeed(fromUrl)
+}
+
+// Write the seed into ?seed= so the URL can be shared
+export function setSeedInUrl(seed) {
+  const params = new URLSearchParams(window.location.search)
+  params.set('seed', String(seed))
+  window.history.replaceState(null, '', `${window.location.pathname}?${params}${window.location.hash}`)
+}
+
+// Read the world seed from ?seed=, or pick one and write it back so the URL can be shared
+export function getWorldSeed() {
+  const fromUrl = getSeedFromUrl()
+  if (fromUrl !== null) return fromUrl
+
+  const seed = Math.floor(Math.random() * 4294967296) >>> 0
+  setSeedInUrl(seed)
+  return seed
+}
@@ -0,0 +1,467 @@
+import { createTerrainSampler } from './Heightmap.js'
+import { createRandom, deriveSeed } from './Random.js'
+
+// Rivers are worked out per region. Each region runs a drainage pass over a
+// coarse grid covering itself plus a margin, and owns the rivers whose
+// sources lie inside it. A river that runs into one traced by a region
+// earlier in row order (z, then x) joins it there, so rivers meet across
+// region borders instead of running side by side. Everything depends only
+// on the seed and the region coordinates, so a river comes out the same
+// whichever chunk asks first.
+const RIVER_REGION_SIZE = 1024
+// How far past its region a river can be followed before it's cut off
+const RIVER_REGION_MARGIN = 1536
+// Both of the above are whole cells, so every region's grid lines up with
+// the same world cells
+const RIVER_CELL_SIZE = 32
+// Regions up to this many apart have overlapping drainage grids, so their
+// rivers can meet
+const RIVER_REGION_REACH = Math.ceil((RIVER_REGION_SIZE + RIVER_REGION_MARGIN * 2) / RIVER_REGION_SIZE) - 1
+// Keeps filled depressions draining towards their outlet
+const FLOOD_EPSILON = 0.001
+// One source candidate per cell of this size, kept with RIVER_SOURCE_CHANCE
+const RIVER_SOURCE_SPACING = 128
+const RIVER_SOURCE_CHANCE = 0.6
+const RIVER_SOURCE_BIOME = 'mountains'
+const RIVER_SOURCE_MIN_HEIGHT = 18
+// Rivers shorter than this (m) are dropped
+const RIVER_MIN_LENGTH = 160
+// Polyline point spacing after smoothing (m)
+const RIVER_SAMPLE_SPACING = 8
+// Water sits this far below the ground along the river's course
+const RIVER_SURFACE_DEPTH = 0.4
+// Width grows with the square root of the drained area (in grid cells)
+const RIVER_MIN_WIDTH = 3
+const RIVER_MAX_WIDTH = 28
+const RIVER_WIDTH_PER_SQRT_AREA = 0.25
+const RIVER_MAX_DEPTH = 3
+// Rivers cut off at the edge of their region's grid narrow to nothing over this distance
+const RIVER_TAPER_LENGTH = 200
+// Bank rise per metre away from the water's edge, and how far banks reach;
+// the carving fades out over the outer half of the reach
+const RIVER_BANK_SLOPE = 0.4
+const RIVER_BANK_REACH = 40
+// Regions kept in memory per network; traces are needed for a wider area
+const RIVER_REGION_CACHE_SIZE = 64
+const RIVER_TRACE_CACHE_SIZE = 256
+const RIVER_SEED_SALT = 0x72697672
+
+// Polyline layout: x, surface y, z, width, depth per point
+export const RIVER_POINT_STRIDE = 5
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+  return t * t * (3 - 2 * t)
+}
+
+const NEIGHBOURS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]]
+
+// Binary min-heap of grid cells keyed by height
+function createCellHeap(capacity) {
+  const cells = new Int32Array(capacity)
+  const keys = new Float64Array(capacity)
+  let size = 0
+
+  const swap = (a, b) => {
+    const cell = cells[a]
+    const key = keys[a]
+    cells[a] = cells[b]
+    keys[a] = keys[b]
+    cells[b] = cell
+    keys[b] = key
+  }
+
+  const push = (cell, key) => {
+    let i = size++
+    cells[i] = cell
+    keys[i] = key
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (keys[parent] <= keys[i]) break
+      swap(parent, i)
+      i = parent
+    }
+  }
+
+  const pop = () => {
+    const top = cells[0]
+    size--
+    if (size > 0) {
+      cells[0] = cells[size]
+      keys[0] = keys[size]
+      let i = 0
+      for (;;) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+        if (left < size && keys[left] < keys[smallest]) smallest = left
+        if (right < size && keys[right] < keys[smallest]) smallest = right
+        if (smallest === i) break
+        swap(i, smallest)
+        i = smallest
+      }
+    }
+    return top
+  }
+
+  return { push, pop, get size() { return size } }
+}
+
+// Corner cutting, keeping both end points
+function smoothPath(points, iterations) {
+  let path = points
+  for (let n = 0; n < iterations; n++) {
+    const next = [path[0]]
+    for (let i = 0; i < path.length - 1; i++) {
+      const a = path[i]
+      const b = path[i + 1]
+      next.push(
+        { x: a.x * 0.75 + b.x * 0.25, z: a.z * 0.75 + b.z * 0.25, area: a.area * 0.75 + b.area * 0.25 },
+        { x: a.x * 0.25 + b.x * 0.75, z: a.z * 0.25 + b.z * 0.75, area: a.area * 0.25 + b.area * 0.75 }
+      )
+    }
+    next.push(path[path.length - 1])
+    path = next
+  }
+  return path
+}
+
+// Evenly spaced points along a path
+function resamplePath(path, spacing) {
+  const result = [path[0]]
+  let carried = 0
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i]
+    const b = path[i + 1]
+    const length = Math.hypot(b.x - a.x, b.z - a.z)
+    let d = spacing - carried
+    while (d <= length) {
+      const t = d / length
+      result.push({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t, area: a.area + (b.area - a.area) * t })
+      d += spacing
+    }
+    carried = length - (d - spacing)
+  }
+  const last = path[path.length - 1]
+  if (carried > spacing * 0.25) result.push(last)
+  return result
+}
+
+const cellKey = (gx, gz) => `${gx},${gz}`
+
+// Region drainage network. Heights come from the generator on a coarse grid;
+// priority-flood fills depressions and gives every cell the neighbour it
+// drains into, so flow accumulation is one pass in reverse flood order.
+// Returns the region's rivers as world cells ({ gx, gz, area }, source
+// first) with how they end, and the set of cells they cover.
+function traceRegion(regionX, regionZ, seed, seaLevel, sampleTerrain) {
+  const cellsPerSide = Math.round((RIVER_REGION_SIZE + RIVER_REGION_MARGIN * 2) / RIVER_CELL_SIZE) + 1
+  const cellCount = cellsPerSide * cellsPerSide
+  const originX = regionX * RIVER_REGION_SIZE - RIVER_REGION_MARGIN
+  const originZ = regionZ * RIVER_REGION_SIZE - RIVER_REGION_MARGIN
+  const cellIndex = (ix, iz) => iz * cellsPerSide + ix
+
+  const heights = new Float32Array(cellCount)
+  for (let iz = 0; iz < cellsPerSide; iz++) {
+    for (let ix = 0; ix < cellsPerSide; ix++) {
+      heights[cellIndex(ix, iz)] = sampleTerrain(originX + ix * RIVER_CELL_SIZE, originZ + iz * RIVER_CELL_SIZE).height
+    }
+  }
+
+  // Priority-flood from the grid edge inwards
+  const receiver = new Int32Array(cellCount).fill(-1)
+  const order = new Int32Array(cellCount)
+  const closed = new Uint8Array(cellCount)
+  const heap = createCellHeap(cellCount)
+  for (let i = 0; i < cellsPerSide; i++) {
+    for (const cell of [cellIndex(i, 0), cellIndex(i, cellsPerSide - 1), cellIndex(0, i), cellIndex(cellsPerSide - 1, i)]) {
+      if (closed[cell]) continue
+      closed[cell] = 1
+      heap.push(cell, heights[cell])
+    }
+  }
+  const filled = Float32Array.from(heights)
+  let popped = 0
+  while (heap.size > 0) {
+    const cell = heap.pop()
+    order[popped++] = cell
+    const ix = cell % cellsPerSide
+    const iz = (cell - ix) / cellsPerSide
+    for (const [dx, dz] of NEIGHBOURS) {
+      const nx = ix + dx
+      const nz = iz + dz
+      if (nx < 0 || nz < 0 || nx >= cellsPerSide || nz >= cellsPerSide) continue
+      const next = cellIndex(nx, nz)
+      if (closed[next]) continue
+      closed[next] = 1
+      filled[next] = Math.max(heights[next], filled[cell] + FLOOD_EPSILON)
+      receiver[next] = cell
+      heap.push(next, filled[next])
+    }
+  }
+
+  // Drained area in cells: every cell hands its total to its receiver
+  const area = new Float32Array(cellCount).fill(1)
+  for (let k = cellCount - 1; k >= 0; k--) {
+    const cell = order[k]
+    if (receiver[cell] !== -1) area[receiver[cell]] += area[cell]
+  }
+
+  // Sources on a jittered grid inside the region's own area
+  const random = createRandom(deriveSeed(seed, regionX, regionZ, RIVER_SEED_SALT))
+  const sourcesPerSide = RIVER_REGION_SIZE / RIVER_SOURCE_SPACING
+  const owner = new Int32Array(cellCount).fill(-1)
+  const originCellX = Math.round(originX / RIVER_CELL_SIZE)
+  const originCellZ = Math.round(originZ / RIVER_CELL_SIZE)
+  const traces = []
+  const covered = new Set()
+  for (let sz = 0; sz < sourcesPerSide; sz++) {
+    for (let sx = 0; sx < sourcesPerSide; sx++) {
+      const x = regionX * RIVER_REGION_SIZE + (sx + random()) * RIVER_SOURCE_SPACING
+      const z = regionZ * RIVER_REGION_SIZE + (sz + random()) * RIVER_SOURCE_SPACING
+      if (random() >= RIVER_SOURCE_CHANCE) continue
+      const ground = sampleTerrain(x, z)
+      if (ground.biome !== RIVER_SOURCE_BIOME || ground.height < RIVER_SOURCE_MIN_HEIGHT) continue
+
+      // Follow the drainage down until the sea, another river or the grid edge
+      const cells = []
+      let cell = cellIndex(Math.round((x - originX) / RIVER_CELL_SIZE), Math.round((z - originZ) / RIVER_CELL_SIZE))
+      let end = 'edge'
+      while (cell !== -1) {
+        cells.push(cell)
+        if (heights[cell] <= seaLevel) {
+          end = 'sea'
+          break
+        }
+        if (owner[cell] !== -1) {
+          end = 'junction'
+          break
+        }
+        owner[cell] = traces.length
+        cell = receiver[cell]
+      }
+      if (cells.length * RIVER_CELL_SIZE < RIVER_MIN_LENGTH) {
+        cells.forEach((c) => { if (owner[c] === traces.length) owner[c] = -1 })
+        continue
+      }
+
+      const trace = cells.map((c) => ({
+        gx: originCellX + (c % cellsPerSide),
+        gz: originCellZ + Math.floor(c / cellsPerSide),
+        area: area[c]
+      }))
+      trace.forEach(({ gx, gz }) => covered.add(cellKey(gx, gz)))
+      traces.push({ cells: trace, end })
+    }
+  }
+  return { traces, covered }
+}
+
+// Rows of regions are ordered by z, then x
+const isEarlierRegion = (x, z, regionX, regionZ) => z < regionZ || (z === regionZ && x < regionX)
+
+// A region's rivers as polylines, each stopping where it first reaches a
+// river of an earlier region (which carries the water on from there)
+function buildRegion(regionX, regionZ, getTraces, sampleTerrain) {
+  const earlier = []
+  for (let rz = regionZ - RIVER_REGION_REACH; rz <= regionZ + RIVER_REGION_REACH; rz++) {
+    for (let rx = regionX - RIVER_REGION_REACH; rx <= regionX + RIVER_REGION_REACH; rx++) {
+      if (isEarlierRegion(rx, rz, regionX, regionZ)) earlier.push(getTraces(rx, rz).covered)
+    }
+  }
+
+  const rivers = []
+  for (const { cells, end } of getTraces(regionX, regionZ).traces) {
+    const join = cells.findIndex(({ gx, gz }) => earlier.some((covered) => covered.has(cellKey(gx, gz))))
+    // Rising right on another river adds nothing
+    if (join === 0) continue
+    const path = (join === -1 ? cells : cells.slice(0, join + 1)).map(({ gx, gz, area }) => ({
+      x: gx * RIVER_CELL_SIZE,
+      z: gz * RIVER_CELL_SIZE,
+      area
+    }))
+    rivers.push(createPolyline(resamplePath(smoothPath(path, 2), RIVER_SAMPLE_SPACING), join === -1 ? end : 'junction', sampleTerrain))
+  }
+  return rivers
+}
+
+// Surface heights along the river only ever go down, and stay under the
+// ground the river runs through
+function createPolyline(samples, end, sampleTerrain) {
+  const points = new Float32Array(samples.length * RIVER_POINT_STRIDE)
+  let surface = Infinity
+  let length = 0
+  let minX = Infinity
+  let minZ = Infinity
+  let maxX = -Infinity
+  let maxZ = -Infinity
+  const totalLength = (samples.length - 1) * RIVER_SAMPLE_SPACING
+
+  samples.forEach((sample, i) => {
+    if (i > 0) length += Math.hypot(sample.x - samples[i - 1].x, sample.z - samples[i - 1].z)
+    surface = Math.min(surface, sampleTerrain(sample.x, sample.z).height - RIVER_SURFACE_DEPTH)
+    let width = Math.min(RIVER_MAX_WIDTH, RIVER_MIN_WIDTH + Math.sqrt(sample.area) * RIVER_WIDTH_PER_SQRT_AREA)
+    if (end === 'edge') width *= Math.min(1, (totalLength - length) / RIVER_TAPER_LENGTH)
+    const depth = Math.min(RIVER_MAX_DEPTH, 0.5 + width * 0.08)
+
+    const o = i * RIVER_POINT_STRIDE
+    points[o] = sample.x
+    points[o + 1] = surface
+    points[o + 2] = sample.z
+    points[o + 3] = width
+    points[o + 4] = width > 0 ? depth : 0
+    minX = Math.min(minX, sample.x)
+    minZ = Math.min(minZ, sample.z)
+    maxX = Math.max(maxX, sample.x)
+    maxZ = Math.max(maxZ, sample.z)
+  })
+
+  return { points, end, bounds: { minX, minZ, maxX, maxZ } }
+}
+
+// Least recently used cache: get(key) builds missing entries with build(key)
+function createRegionCache(size, build) {
+  const entries = new Map() // key -> value, oldest first
+  return (regionX, regionZ) => {
+    const key = `${regionX},${regionZ}`
+    let value = entries.get(key)
+    if (value) {
+      // Move to the back so the least recently used region goes first
+      entries.delete(key)
+    } else {
+      value = build(regionX, regionZ)
+      if (entries.size >= size) entries.delete(entries.keys().next().value)
+    }
+    entries.set(key, value)
+    return value
+  }
+}
+
+// Deterministic river network for a seed. Rivers end where the ground drops
+// to seaLevel (the water level), where they join another river, or taper out
+// at the edge of their region's drainage grid. With a heightmap, drainage
+// follows the imported heights.
+export function createRiverNetwork({ seed, seaLevel = -Infinity, heightmap = null }) {
+  const sampleTerrain = createTerrainSampler({ seed, heightmap })
+  const getTraces = createRegionCache(RIVER_TRACE_CACHE_SIZE, (regionX, regionZ) =>
+    traceRegion(regionX, regionZ, seed, seaLevel, sampleTerrain))
+  const getRegion = createRegionCache(RIVER_REGION_CACHE_SIZE, (regionX, regionZ) =>
+    buildRegion(regionX, regionZ, getTraces, sampleTerrain))
+
+  // Every river that could reach into the given rectangle
+  const getRiversInArea = (minX, minZ, maxX, maxZ) => {
+    const reach = RIVER_MAX_WIDTH / 2 + RIVER_BANK_REACH
+    const result = []
+    const fromX = Math.floor((minX - RIVER_REGION_MARGIN) / RIVER_REGION_SIZE)
+    const toX = Math.floor((maxX + RIVER_REGION_MARGIN) / RIVER_REGION_SIZE)
+    const fromZ = Math.floor((minZ - RIVER_REGION_MARGIN) / RIVER_REGION_SIZE)
+    const toZ = Math.floor((maxZ + RIVER_REGION_MARGIN) / RIVER_REGION_SIZE)
+    for (let rz = fromZ; rz <= toZ; rz++) {
+      for (let rx = fromX; rx <= toX; rx++) {
+        for (const river of getRegion(rx, rz)) {
+          const b = river.bounds
+          if (b.maxX + reach < minX || b.minX - reach > maxX || b.maxZ + reach < minZ || b.minZ - reach > maxZ) continue
+          result.push(river)
+        }
+      }
+    }
+    return result
+  }
+
+  // Carves riverbeds into generator heights inside one rectangle: a rounded
+  // channel under the water, then banks rising away from it. River surfaces
+  // follow the generator heights, so an erosion change (erosionDelta) fades
+  // out towards the channel and the water sits on its bed either way.
+  const createCarver = (minX, minZ, maxX, maxZ) => {
+    const rivers = getRiversInArea(minX, minZ, maxX, maxZ)
+    const reach = RIVER_MAX_WIDTH / 2 + RIVER_BANK_REACH
+
+    // Calls visit(distance, surface, halfWidth, depth) for every river segment near (x, z)
+    const forEachSegmentNear = (x, z, visit) => {
+      for (const { points, bounds } of rivers) {
+        if (x < bounds.minX - reach || x > bounds.maxX + reach || z < bounds.minZ - reach || z > bounds.maxZ + reach) continue
+
+        for (let o = 0; o + RIVER_POINT_STRIDE < points.length; o += RIVER_POINT_STRIDE) {
+          const ax = points[o]
+          const az = points[o + 2]
+          const bx = points[o + RIVER_POINT_STRIDE]
+          const bz = points[o + RIVER_POINT_STRIDE + 2]
+          const halfWidth = Math.max(points[o + 3], points[o + RIVER_POINT_STRIDE + 3]) / 2
+          const segmentReach = halfWidth + RIVER_BANK_REACH
+          if (Math.min(ax, bx) - segmentReach > x || Math.max(ax, bx) + segmentReach < x) continue
+          if (Math.min(az, bz) - segmentReach > z || Math.max(az, bz) + segmentReach < z) continue
+
+          const abx = bx - ax
+          const abz = bz - az
+          const lengthSq = abx * abx + abz * abz
+          const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * abx + (z - az) * abz) / lengthSq)) : 0
+          const distance = Math.hypot(x - (ax + abx * t), z - (az + abz * t))
+          const lerp = (k) => points[o + k] + (points[o + RIVER_POINT_STRIDE + k] - points[o + k]) * t
+          const half = lerp(3) / 2
+          if (half <= 0) continue
+          visit(distance, lerp(1), half, lerp(4))
+        }
+      }
+    }
+
+    const bankFade = (distance, half) => 1 - smoothstep(half + RIVER_BANK_REACH / 2, half + RIVER_BANK_REACH, distance)
+
+    const carve = (x, z, height, erosionDelta = 0) => {
+      let influence = 0
+      if (erosionDelta !== 0) {
+        forEachSegmentNear(x, z, (distance, surface, half) => {
+          influence = Math.max(influence, bankFade(distance, half))
+        })
+      }
+      const ground = height + erosionDelta * (1 - influence)
+
+      let target = ground
+      forEachSegmentNear(x, z, (distance, surface, half, depth) => {
+        const bed = distance < half
+          ? surface - depth * (1 - (distance / half) * (distance / half))
+          : surface + (distance - half) * RIVER_BANK_SLOPE
+        const carved = ground - (ground - Math.min(ground, bed)) * bankFade(distance, half)
+        if (carved < target) target = carved
+      })
+      return target
+    }
+
+    return { rivers, carve }
+  }
+
+  return { getRiversInArea, createCarver }
+}
+
+// The stretch of each river whose segments have their midpoint inside the
+// rectangle, so every segment belongs to exactly one chunk. Points from
+// `from` to `to` are drawn; one extra point each side (where there is one)
+// keeps the direction continuous across chunk borders.
+export function getRiverPieces(rivers, minX, minZ, maxX, maxZ) {
+  const pieces = []
+  for (const { points } of rivers) {
+    const count = points.length / RIVER_POINT_STRIDE
+    let start = -1
+    for (let i = 0; i < count; i++) {
+      let inside = false
+      if (i < count - 1) {
+        const x = (points[i * RIVER_POINT_STRIDE] + points[(i + 1) * RIVER_POINT_STRIDE]) / 2
+        const z = (points[i * RIVER_POINT_STRIDE + 2] + points[(i + 1) * RIVER_POINT_STRIDE + 2]) / 2
+        inside = x >= minX && x < maxX && z >= minZ && z < maxZ
+      }
+      if (inside && start === -1) start = i
+      if (!inside && start !== -1) {
+        // Segments start..i-1 are inside, so points start..i are drawn
+        const first = Math.max(0, start - 1)
+        const last = Math.min(count - 1, i + 1)
+        pieces.push({
+          points: points.slice(first * RIVER_POINT_STRIDE, (last + 1) * RIVER_POINT_STRIDE),
+          from: start - first,
+          to: i - first
+        })
+        start = -1
+      }
+    }
+  }
+  return pieces
+}
+
@@ -0,0 +1,47 @@
+import { useRef, useState } from 'react'
+import { getSaveFile, readSaveFile } from './WorldSave.js'
+import { downloadFile } from './Download.js'
+
+// Save file controls: download the world as it is now, load a save file
+// (handed to onLoad, see readSave), or start a new world
+export default function SaveMenu({ getSave, onLoad, onNewWorld }) {
+  const fileInput = useRef(null)
+  const [status, setStatus] = useState(null)
+
+  const handleSave = () => {
+    const save = getSave()
+    if (!save) return
+    downloadFile(getSaveFile(save))
+    setStatus('Saved')
+  }
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    try {
+      onLoad(await readSaveFile(file))
+      setStatus(`Loaded ${file.name}`)
+    } catch (error) {
+      console.error('Loading save failed:', error)
+      setStatus(`Load failed: ${error.message}`)
+    }
+  }
+
+  // Keep clicks in the menu away from the player controls
+  const stopPropagation = (event) => event.stopPropagation()
+
+  return (
+    <div className="absolute bottom-4 right-4 z-20 text-white text-sm font-mono text-right" onClick={stopPropagation}>
+      <div className="flex gap-2 justify-end">
+        <button className="px-3 py-1 rounded bg-black/50 hover:bg-black/70" onClick={handleSave}>Save file</button>
+        <button className="px-3 py-1 rounded bg-black/50 hover:bg-black/70" onClick={() => fileInput.current.click()}>
+          Load file
+        </button>
+        <button className="px-3 py-1 rounded bg-black/50 hover:bg-black/70" onClick={onNewWorld}>New world</button>
+      </div>
+      <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={handleFile} />
+      {status && <div className="mt-1 text-xs opacity-80">{status}</div>}
+    </div>
+  )
+}
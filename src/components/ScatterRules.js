@@ -0,0 +1,257 @@
+import { BIOMES } from './Terrain.js'
+import { createRandom, deriveSeed, hashSeed } from './Random.js'
+
+// Declarative prop placement. Each rule says what to place (model), how far
+// apart (spacing, metres), how likely per candidate spot in each biome
+// (biomes: id -> chance 0-1), on what ground (height range, max slope in
+// degrees), at what size (scale range) and what the player bumps into
+// (collider: vertical cylinder, scaled with the prop, or null). Props stay
+// out of the water unless the rule sets underwater: true.
+// Adding a prop type means adding a rule here; the chunk streaming doesn't change.
+// Rules are read by the chunk workers as well, so register them in this module.
+export const SCATTER_RULES = []
+
+export function registerScatterRule(rule) {
+  if (!rule || !rule.id) throw new Error('Scatter rule needs an id')
+  if (!rule.model || !rule.spacing || !rule.biomes) {
+    throw new Error(`Scatter rule "${rule.id}" needs model, spacing and biomes`)
+  }
+  const existing = SCATTER_RULES.findIndex((r) => r.id === rule.id)
+  if (existing !== -1) {
+    SCATTER_RULES[existing] = rule
+  } else {
+    SCATTER_RULES.push(rule)
+  }
+  return rule
+}
+
+registerScatterRule({
+  id: 'pine',
+  model: {
+    type: 'conifer',
+    trunkHeight: 2,
+    trunkRadius: 0.25,
+    canopyHeight: 7,
+    canopyRadius: 2,
+    trunkColor: 0x5a3d2b,
+    canopyColor: 0x2f5233
+  },
+  spacing: 7,
+  biomes: { forest: 0.5, hills: 0.35, mountains: 0.25, tundra: 0.2 },
+  height: [-Infinity, 34],
+  maxSlope: 35,
+  scale: [0.8, 1.4],
+  collider: { radius: 0.4, height: 9 }
+})
+
+registerScatterRule({
+  id: 'oak',
+  model: {
+    type: 'broadleaf',
+    trunkHeight: 3,
+    trunkRadius: 0.3,
+    canopyRadius: 2.6,
+    trunkColor: 0x6b4a32,
+    canopyColor: 0x4a7a3a
+  },
+  spacing: 9,
+  biomes: { forest: 0.7, plains: 0.06, hills: 0.12 },
+  height: [-Infinity, 24],
+  maxSlope: 25,
+  scale: [0.8, 1.3],
+  collider: { radius: 0.5, height: 6 }
+})
+
+registerScatterRule({
+  id: 'bush',
+  model: { type: 'bush', radius: 0.8, color: 0x5c7d3c },
+  spacing: 4,
+  biomes: { plains: 0.12, forest: 0.3, hills: 0.2 },
+  height: [-Infinity, 26],
+  maxSlope: 30,
+  scale: [0.6, 1.2],
+  collider: null
+})
+
+registerScatterRule({
+  id: 'boulder',
+  model: { type: 'boulder', radius: 1, color: 0x8a8580 },
+  spacing: 10,
+  biomes: { mountains: 0.3, mesa: 0.2, hills: 0.12, tundra: 0.1, desert: 0.05, plains: 0.03 },
+  height: [-Infinity, Infinity],
+  maxSlope: 45,
+  scale: [0.6, 2.2],
+  collider: { radius: 0.9, height: 1.6 }
+})
+
+registerScatterRule({
+  id: 'cactus',
+  model: { type: 'cactus', height: 3, radius: 0.3, color: 0x5b8a4a },
+  spacing: 8,
+  biomes: { desert: 0.1, mesa: 0.05 },
+  height: [-Infinity, Infinity],
+  maxSlope: 20,
+  scale: [0.7, 1.3],
+  collider: { radius: 0.35, height: 3 }
+})
+
+// Bridson's Poisson-disk sampling in a size x size square
+function poissonDisk(size, spacing, random, attempts = 20) {
+  const cellSize = spacing / Math.SQRT2
+  const gridWidth = Math.ceil(size / cellSize)
+  const grid = new Int32Array(gridWidth * gridWidth).fill(-1)
+  const points = []
+  const active = []
+
+  const addPoint = (x, z) => {
+    grid[Math.floor(z / cellSize) * gridWidth + Math.floor(x / cellSize)] = points.length / 2
+    active.push(points.length / 2)
+    points.push(x, z)
+  }
+
+  const fits = (x, z) => {
+    const gx = Math.floor(x / cellSize)
+    const gz = Math.floor(z / cellSize)
+    for (let j = Math.max(0, gz - 2); j <= Math.min(gridWidth - 1, gz + 2); j++) {
+      for (let i = Math.max(0, gx - 2); i <= Math.min(gridWidth - 1, gx + 2); i++) {
+        const p = grid[j * gridWidth + i]
+        if (p !== -1 && Math.hypot(points[p * 2] - x, points[p * 2 + 1] - z) < spacing) return false
+      }
+    }
+    return true
+  }
+
+  addPoint(random() * size, random() * size)
+  while (active.length > 0) {
+    const index = Math.floor(random() * active.length)
+    const p = active[index]
+    let found = false
+    for (let k = 0; k < attempts; k++) {
+      const angle = random() * Math.PI * 2
+      const radius = spacing * (1 + random())
+      const x = points[p * 2] + Math.cos(angle) * radius
+      const z = points[p * 2 + 1] + Math.sin(angle) * radius
+      if (x < 0 || z < 0 || x >= size || z >= size || !fits(x, z)) continue
+      addPoint(x, z)
+      found = true
+      break
+    }
+    if (!found) active.splice(index, 1)
+  }
+  return points
+}
+
+// Dry props keep at least this far above the water level
+const SHORE_MARGIN = 0.3
+// Ground carved down by more than this (riverbeds, their banks) gets no props
+const CARVED_CLEARANCE = 0.3
+// Slope is measured over this distance, so it doesn't depend on chunk resolution
+const SLOPE_SAMPLE_DISTANCE = 1
+// Neighbouring chunks that come first in row order (z, then x). Each chunk
+// samples its own points, so where two come closer than a rule's spacing
+// across a border, the point of the later chunk gives way.
+const EARLIER_NEIGHBOURS = [[-1, -1], [0, -1], [1, -1], [-1, 0]]
+
+// An earlier neighbour's candidate points that lie within spacing of this
+// chunk, in world space; they're the same ones that chunk samples itself
+function getNeighbourPoints(seed, ruleSeed, chunkX, chunkZ, chunkSize, spacing) {
+  const originX = chunkX * chunkSize - chunkSize / 2
+  const originZ = chunkZ * chunkSize - chunkSize / 2
+  const nearby = []
+  for (const [dx, dz] of EARLIER_NEIGHBOURS) {
+    const random = createRandom(deriveSeed(seed, chunkX + dx, chunkZ + dz, ruleSeed))
+    const points = poissonDisk(chunkSize, spacing, random)
+    for (let i = 0; i < points.length; i += 2) {
+      const x = originX + dx * chunkSize + points[i]
+      const z = originZ + dz * chunkSize + points[i + 1]
+      if (x > originX - spacing && x < originX + chunkSize + spacing &&
+        z > originZ - spacing && z < originZ + chunkSize + spacing) nearby.push(x, z)
+    }
+  }
+  return nearby
+}
+
+const isCrowded = (x, z, others, spacingSq) => {
+  for (let j = 0; j < others.length; j += 2) {
+    const dx = others[j] - x
+    const dz = others[j + 1] - z
+    if (dx * dx + dz * dz < spacingSq) return true
+  }
+  return false
+}
+
+// Places every rule's props on one chunk. Whether a prop is placed depends
+// only on sampleTerrain(x, z) (biome, height, slope; see createTerrainSampler
+// in Heightmap.js), so the same props appear
+// whatever resolution the chunk is built at; surfaceHeightAt(localX, localZ)
+// then sits them on the rendered surface. Where carve(x, z, height) cuts the
+// ground down (riverbeds) nothing is placed. Returns per-rule instance data
+// [x, y, z, rotationY, scale] and colliders [x, y, z, radius, height], in
+// world space. Props keep their rule's spacing across chunk borders too.
+export function scatterChunk({
+  chunkX,
+  chunkZ,
+  seed,
+  chunkSize,
+  sampleTerrain,
+  surfaceHeightAt,
+  waterLevel = -Infinity,
+  carve = null
+}) {
+  const originX = chunkX * chunkSize - chunkSize / 2
+  const originZ = chunkZ * chunkSize - chunkSize / 2
+  const e = SLOPE_SAMPLE_DISTANCE
+  const props = {}
+  const colliders = []
+
+  for (const rule of SCATTER_RULES) {
+    const ruleSeed = hashSeed(rule.id)
+    const random = createRandom(deriveSeed(seed, chunkX, chunkZ, ruleSeed))
+    const points = poissonDisk(chunkSize, rule.spacing, random)
+    const neighbourPoints = getNeighbourPoints(seed, ruleSeed, chunkX, chunkZ, chunkSize, rule.spacing)
+    const spacingSq = rule.spacing * rule.spacing
+    const biomeChance = BIOMES.map((biome) => rule.biomes[biome.id] || 0)
+    const maxChance = Math.max(...biomeChance)
+    const minNormalY = Math.cos((rule.maxSlope === undefined ? 90 : rule.maxSlope) * Math.PI / 180)
+    const [ruleMinHeight, maxHeight] = rule.height || [-Infinity, Infinity]
+    const minHeight = rule.underwater ? ruleMinHeight : Math.max(ruleMinHeight, waterLevel + SHORE_MARGIN)
+    const [minScale, maxScale] = rule.scale || [1, 1]
+    const instances = []
+
+    for (let i = 0; i < points.length; i += 2) {
+      // Same number of randoms per point, so one rejection doesn't shift the rest
+      const keep = random()
+      const rotation = random() * Math.PI * 2
+      const scale = minScale + random() * (maxScale - minScale)
+      if (keep >= maxChance) continue
+
+      const localX = points[i]
+      const localZ = points[i + 1]
+      const x = originX + localX
+      const z = originZ + localZ
+      if (isCrowded(x, z, neighbourPoints, spacingSq)) continue
+      const ground = sampleTerrain(x, z)
+      if (ground.height < minHeight || ground.height > maxHeight) continue
+      if (carve && carve(x, z, ground.height) < ground.height - CARVED_CLEARANCE) continue
+
+      let chance = 0
+      for (let b = 0; b < ground.biomeWeights.length; b++) chance += ground.biomeWeights[b] * biomeChance[b]
+      if (keep >= chance) continue
+
+      const dx = sampleTerrain(x + e, z).height - sampleTerrain(x - e, z).height
+      const dz = sampleTerrain(x, z + e).height - sampleTerrain(x, z - e).height
+      const normalY = 2 * e / Math.hypot(dx, 2 * e, dz)
+      if (normalY < minNormalY) continue
+
+      const y = surfaceHeightAt(localX, localZ)
+      instances.push(x, y, z, rotation, scale)
+      if (rule.collider) {
+        colliders.push(x, y, z, rule.collider.radius * scale, rule.collider.height * scale)
+      }
+    }
+
+    if (instances.length > 0) props[rule.id] = new Float32Array(instances)
+  }
+
+  return { props, colliders: new Float32Array(colliders) }
+}
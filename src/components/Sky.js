@@ -0,0 +1,334 @@
+import * as THREE from 'three'
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js'
+import { createCascadedShadows, DEFAULT_SHADOWS } from './CascadedShadows.js'
+
+export const DEFAULT_SKY = {
+  // Hours, 0-24; 12 is noon
+  timeOfDay: 10,
+  // Game seconds per real second; 60 makes a day last 24 minutes, 0 stops the clock
+  timeScale: 60,
+  // Sets how high the sun climbs (degrees); the sun is on the equator, so
+  // days and nights are 12 hours each
+  latitude: 40,
+  // Equirectangular HDR blended into the procedural sky in daylight, or null for none
+  hdrUrl: '/skybox.hdr',
+  // How much of the HDR shows at full daylight (0-1)
+  hdrBlend: 0.85,
+  fogNear: 20,
+  fogFar: 200,
+  sunIntensity: 1.2,
+  moonIntensity: 0.25,
+  // Cascaded sun shadows around the camera, see DEFAULT_SHADOWS
+  shadowCascades: DEFAULT_SHADOWS.cascades,
+  shadowSplits: DEFAULT_SHADOWS.splits,
+  shadowDistance: DEFAULT_SHADOWS.distance,
+  shadowMapSize: DEFAULT_SHADOWS.mapSize,
+  // Cube map size the sky is drawn into for the background and reflections
+  skyResolution: 256
+}
+
+// Sky colours through the day. Zenith/horizon pairs for full day, for the
+// sun on the horizon and for full night; the light colours follow the same steps.
+const SKY_COLORS = {
+  dayZenith: new THREE.Color(0x3a7bd5),
+  dayHorizon: new THREE.Color(0xd6dfe5),
+  duskZenith: new THREE.Color(0x46507a),
+  duskHorizon: new THREE.Color(0xf0a060),
+  nightZenith: new THREE.Color(0x02040c),
+  nightHorizon: new THREE.Color(0x0b1426),
+  sunHigh: new THREE.Color(0xfff4e6),
+  sunLow: new THREE.Color(0xff7a3a),
+  moon: new THREE.Color(0x8899cc),
+  hemisphereDay: new THREE.Color(0x87ceeb),
+  hemisphereNight: new THREE.Color(0x1a2340),
+  ground: new THREE.Color(0x8b7355)
+}
+// Distance the moon light sits from its target
+const LIGHT_DISTANCE = 200
+// Redraw the sky cube after this much game time (hours), or sooner when settings change
+const SKY_REDRAW_HOURS = 1 / 60
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)))
+  return t * t * (3 - 2 * t)
+}
+
+// Direction of a body on the celestial equator at an hour angle (radians
+// from noon) seen from a latitude, in world space: +x east, +y up, -z north
+const getCelestialDirection = (hourAngle, latitude, target) => {
+  // The equator crosses the meridian up and to the south, tilted by latitude
+  return target.set(-Math.sin(hourAngle), Math.cos(hourAngle) * Math.cos(latitude), Math.cos(hourAngle) * Math.sin(latitude))
+}
+
+const skyVertexShader = /* glsl */ `
+varying vec3 vSkyDirection;
+
+void main() {
+  vSkyDirection = position;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`
+
+const skyFragmentShader = /* glsl */ `
+#include <common>
+
+uniform vec3 uZenithColor;
+uniform vec3 uHorizonColor;
+uniform vec3 uSunDirection;
+uniform vec3 uSunColor;
+uniform vec3 uMoonDirection;
+uniform float uNight;
+uniform sampler2D uHdr;
+uniform float uHdrMix;
+varying vec3 vSkyDirection;
+
+float skyHash(vec3 p) {
+  p = fract(p * 0.3183099 + 0.1);
+  p *= 17.0;
+  return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+void main() {
+  vec3 direction = normalize(vSkyDirection);
+  float up = max(direction.y, 0.0);
+  vec3 color = mix(uHorizonColor, uZenithColor, pow(up, 0.5));
+  // Below the horizon fades to a darker horizon colour
+  color = mix(color, uHorizonColor * 0.6, smoothstep(0.0, -0.2, direction.y));
+
+  if (uHdrMix > 0.0) {
+    color = mix(color, texture2D(uHdr, equirectUv(direction)).rgb, uHdrMix);
+  }
+
+  // Glow around the sun, strongest near the horizon, and its disc
+  float sunAmount = max(dot(direction, uSunDirection), 0.0);
+  float sunUp = smoothstep(-0.1, 0.05, uSunDirection.y);
+  color += uSunColor * pow(sunAmount, 8.0) * 0.5 * sunUp;
+  color += uSunColor * smoothstep(0.9990, 0.9995, sunAmount) * 20.0 * sunUp;
+
+  // Stars and the moon at night
+  vec3 starCell = floor(direction * 80.0);
+  float star = step(0.996, skyHash(starCell)) * skyHash(starCell + 7.0);
+  color += vec3(star) * uNight * smoothstep(0.0, 0.2, direction.y);
+  float moonAmount = max(dot(direction, uMoonDirection), 0.0);
+  color += vec3(0.8, 0.85, 1.0) * smoothstep(0.9994, 0.9997, moonAmount) * 2.0 * smoothstep(-0.05, 0.05, uMoonDirection.y);
+
+  gl_FragColor = vec4(color, 1.0);
+}
+`
+
+// Time of day for the scene: the sun and moon move across the sky and the
+// sun, moon, hemisphere and ambient lights change colour and strength with
+// them. A procedural sky (with the HDR blended in during the day) is drawn
+// into a cube map used as background and environment, and the fog takes the
+// horizon colour. The sun casts cascaded shadows that follow the camera.
+// Call update(dt) every frame to advance the clock.
+export function createSky({ scene, camera, renderer = null, ...options }) {
+  const settings = { ...DEFAULT_SKY, ...options }
+  const previous = { fog: scene.fog, background: scene.background, environment: scene.environment }
+  let timeOfDay = settings.timeOfDay
+  let timeScale = settings.timeScale
+  let drawnAt = null
+  let disposed = false
+
+  const sunDirection = new THREE.Vector3()
+  const moonDirection = new THREE.Vector3()
+  const zenithColor = new THREE.Color()
+  const horizonColor = new THREE.Color()
+  const sunColor = new THREE.Color()
+
+  // Kept so underwater fog can swap it out and put it back
+  const fog = new THREE.Fog(horizonColor.clone(), settings.fogNear, settings.fogFar)
+  scene.fog = fog
+
+  const lights = new THREE.Group()
+  lights.name = 'sky'
+  const hemisphereLight = new THREE.HemisphereLight(SKY_COLORS.hemisphereDay, SKY_COLORS.ground, 0.4)
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.3)
+  lights.add(hemisphereLight, ambientLight)
+
+  // The sun is one light per shadow cascade, fitted around the camera
+  const sunShadows = createCascadedShadows({
+    scene,
+    camera,
+    cascades: settings.shadowCascades,
+    splits: settings.shadowSplits,
+    distance: settings.shadowDistance,
+    mapSize: settings.shadowMapSize
+  })
+  // Cascades are fitted just before each render, once the camera has moved for the frame
+  const ownBeforeRender = Object.hasOwn(scene, 'onBeforeRender') ? scene.onBeforeRender : null
+  const beforeRender = scene.onBeforeRender
+  scene.onBeforeRender = function (...args) {
+    beforeRender.apply(this, args)
+    sunShadows.update()
+  }
+
+  // Moonlight is soft and cool, without shadows of its own
+  const moonLight = new THREE.DirectionalLight(SKY_COLORS.moon, 0)
+  moonLight.name = 'moon'
+  lights.add(moonLight)
+  scene.add(lights)
+
+  const skyUniforms = {
+    uZenithColor: { value: zenithColor },
+    uHorizonColor: { value: horizonColor },
+    uSunDirection: { value: sunDirection },
+    uSunColor: { value: sunColor },
+    uMoonDirection: { value: moonDirection },
+    uNight: { value: 0 },
+    uHdr: { value: null },
+    uHdrMix: { value: 0 }
+  }
+
+  // The sky dome lives in a scene of its own and is drawn into a cube map;
+  // without a renderer the background is just the horizon colour
+  let sky = null
+  let backgroundColor = null
+  if (renderer) {
+    const skyScene = new THREE.Scene()
+    const dome = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 32, 16),
+      new THREE.ShaderMaterial({
+        uniforms: skyUniforms,
+        vertexShader: skyVertexShader,
+        fragmentShader: skyFragmentShader,
+        side: THREE.BackSide,
+        depthWrite: false
+      })
+    )
+    skyScene.add(dome)
+    const target = new THREE.WebGLCubeRenderTarget(settings.skyResolution, { type: THREE.HalfFloatType })
+    const cubeCamera = new THREE.CubeCamera(0.1, 10, target)
+    sky = { skyScene, dome, target, cubeCamera }
+    scene.background = target.texture
+    scene.environment = target.texture
+  } else {
+    backgroundColor = horizonColor.clone()
+    scene.background = backgroundColor
+  }
+
+  let hdrTexture = null
+  if (settings.hdrUrl) {
+    new RGBELoader().load(settings.hdrUrl, (texture) => {
+      if (disposed) {
+        texture.dispose()
+        return
+      }
+      hdrTexture = texture
+      skyUniforms.uHdr.value = texture
+      drawnAt = null
+    }, undefined, (error) => {
+      console.error('Error loading skybox:', error)
+    })
+  }
+
+  const applyTime = () => {
+    const latitude = THREE.MathUtils.degToRad(settings.latitude)
+    const hourAngle = (timeOfDay - 12) / 24 * Math.PI * 2
+    getCelestialDirection(hourAngle, latitude, sunDirection)
+    // The moon is kept opposite the sun, so it's up all night
+    getCelestialDirection(hourAngle + Math.PI, latitude, moonDirection)
+
+    const sunHeight = sunDirection.y
+    const daylight = smoothstep(-0.1, 0.3, sunHeight)
+    // Peaks with the sun on the horizon, for dawn and dusk colours
+    const dusk = Math.max(0, 1 - Math.abs(sunHeight - 0.02) / 0.2)
+    zenithColor.copy(SKY_COLORS.nightZenith).lerp(SKY_COLORS.dayZenith, daylight).lerp(SKY_COLORS.duskZenith, dusk * 0.6)
+    horizonColor.copy(SKY_COLORS.nightHorizon).lerp(SKY_COLORS.dayHorizon, daylight).lerp(SKY_COLORS.duskHorizon, dusk * 0.8)
+    sunColor.copy(SKY_COLORS.sunLow).lerp(SKY_COLORS.sunHigh, smoothstep(0.0, 0.35, sunHeight))
+
+    sunShadows.setLight(sunDirection, sunColor, settings.sunIntensity * smoothstep(-0.03, 0.1, sunHeight))
+    moonLight.position.copy(moonDirection).multiplyScalar(LIGHT_DISTANCE)
+    moonLight.intensity = settings.moonIntensity * smoothstep(-0.03, 0.1, moonDirection.y) * (1 - daylight)
+
+    hemisphereLight.color.copy(SKY_COLORS.hemisphereNight).lerp(SKY_COLORS.hemisphereDay, daylight)
+    hemisphereLight.groundColor.copy(SKY_COLORS.ground).multiplyScalar(0.2 + 0.8 * daylight)
+    hemisphereLight.intensity = THREE.MathUtils.lerp(0.08, 0.4, daylight)
+    ambientLight.intensity = THREE.MathUtils.lerp(0.05, 0.3, daylight)
+
+    fog.color.copy(horizonColor)
+    if (backgroundColor) backgroundColor.copy(horizonColor)
+    if (renderer) renderer.setClearColor(horizonColor)
+    skyUniforms.uNight.value = 1 - smoothstep(-0.2, 0.0, sunHeight)
+    // The HDR is a daytime sky, so it fades out through dusk
+    skyUniforms.uHdrMix.value = hdrTexture ? settings.hdrBlend * daylight : 0
+  }
+
+  const drawSky = () => {
+    if (!sky) return
+    sky.cubeCamera.update(renderer, sky.skyScene)
+    // Reflections (scene.environment) are prefiltered from the cube again
+    sky.target.texture.needsPMREMUpdate = true
+    drawnAt = timeOfDay
+  }
+
+  const update = (dt) => {
+    if (disposed) return
+    // Wrapped both ways, so a negative timeScale runs the clock backwards
+    timeOfDay = (((timeOfDay + dt * timeScale / 3600) % 24) + 24) % 24
+    applyTime()
+    const elapsed = drawnAt === null ? Infinity : Math.abs(timeOfDay - drawnAt)
+    if (Math.min(elapsed, 24 - elapsed) >= SKY_REDRAW_HOURS) drawSky()
+  }
+
+  const setTimeOfDay = (hours) => {
+    timeOfDay = ((hours % 24) + 24) % 24
+    drawnAt = null
+    applyTime()
+  }
+
+  const setTimeScale = (scale) => {
+    timeScale = scale
+  }
+
+  // Fog distances (m), e.g. pushed out for an overview camera
+  const setFog = (near, far) => {
+    fog.near = near
+    fog.far = far
+  }
+
+  const dispose = () => {
+    disposed = true
+    scene.remove(lights)
+    if (ownBeforeRender) scene.onBeforeRender = ownBeforeRender
+    else delete scene.onBeforeRender
+    sunShadows.dispose()
+    moonLight.dispose()
+    if (sky) {
+      sky.dome.geometry.dispose()
+      sky.dome.material.dispose()
+      sky.target.dispose()
+    }
+    if (hdrTexture) hdrTexture.dispose()
+    scene.fog = previous.fog
+    scene.background = previous.background
+    scene.environment = previous.environment
+  }
+
+  applyTime()
+
+  return {
+    sunLights: sunShadows.lights,
+    moonLight,
+    sunDirection,
+    update,
+    setTimeOfDay,
+    setTimeScale,
+    setFog,
+    getTimeOfDay: () => timeOfDay,
+    get timeScale() { return timeScale },
+    dispose
+  }
+}
+
+// Clock options from the page URL: ?time=<hours> and ?timeScale=<game
+// seconds per second>, e.g. ?time=19.5&timeScale=0 for a fixed dusk
+export function getSkyOptionsFromUrl() {
+  const params = new URLSearchParams(window.location.search)
+  const options = {}
+  const time = Number.parseFloat(params.get('time'))
+  const timeScale = Number.parseFloat(params.get('timeScale'))
+  if (Number.isFinite(time)) options.timeOfDay = time
+  if (Number.isFinite(timeScale)) options.timeScale = timeScale
+  return options
+}
@@ -1,50 +1,206 @@
-// Terrain generation constants
-const BIOME_THRESHOLD = 0.65
-const BIOME_SCALE = 0.003
-
-// Octave definitions for different terrain types
-const MOUNTAIN_OCTAVES = [
-  { scale: 0.01, amplitude: 30 },
-  { scale: 0.02, amplitude: 15 },
-  { scale: 0.04, amplitude: 8 },
-  { scale: 0.08, amplitude: 3 },
-  { scale: 0.15, amplitude: 1 }
-]
-const MOUNTAIN_BASE = 20
-
-const PLAINS_OCTAVES = [
-  { scale: 0.01, amplitude: 3 },
-  { scale: 0.03, amplitude: 1.5 },
-  { scale: 0.06, amplitude: 0.5 }
-]
-const PLAINS_BASE = 1
+// Climate noise: biomes are picked from low-frequency temperature/moisture fields
+const CLIMATE_SCALE = 0.0015
+const CLIMATE_CONTRAST = 0.8
+const TEMPERATURE_OFFSET = 1000
+const MOISTURE_OFFSET = -1000
+// Higher values give narrower borders between biomes
+const BIOME_BLEND_SHARPNESS = 120
+// Biomes with less influence than this are skipped entirely; up to twice
+// this they fade in, so heights don't step where one drops out
+const MIN_BIOME_WEIGHT = 0.01
+
+// Surface layers blended by the terrain material, in splat channel order
+export const TERRAIN_LAYERS = ['grass', 'dirt', 'rock', 'snow']
+
+// Biome registry. Each biome declares where it lives in climate space
+// (temperature/moisture, both 0-1), how its terrain is shaped and how it looks:
+// material.layers gives its base weight per surface layer, material.color tints it.
+// Biomes are read by the chunk workers as well, and shape functions can't be
+// posted to them, so register them in this module (or one ChunkWorker.js
+// imports); biomes registered only on the main thread would make the
+// workers' meshes disagree with collision, scatter and exports.
+export const BIOMES = []
+
+export function registerBiome(biome) {
+  if (!biome || !biome.id) throw new Error('Biome needs an id')
+  if (!biome.climate || !Array.isArray(biome.octaves)) {
+    throw new Error(`Biome "${biome.id}" needs climate and octaves`)
+  }
+  const existing = BIOMES.findIndex((b) => b.id === biome.id)
+  if (existing !== -1) {
+    BIOMES[existing] = biome
+  } else {
+    BIOMES.push(biome)
+  }
+  return biome
+}
+
+export function getBiome(id) {
+  return BIOMES.find((b) => b.id === id) || null
+}
+
+// Flat-topped steps for mesas
+const terrace = (step, sharpness) => (h) => {
+  const level = Math.floor(h / step)
+  const t = h / step - level
+  return (level + Math.pow(t, sharpness)) * step
+}
+
+registerBiome({
+  id: 'plains',
+  name: 'Plains',
+  climate: { temperature: 0.6, moisture: 0.45 },
+  octaves: [
+    { scale: 0.01, amplitude: 3 },
+    { scale: 0.03, amplitude: 1.5 },
+    { scale: 0.06, amplitude: 0.5 }
+  ],
+  base: 1,
+  material: { color: 0xffffff, layers: { grass: 0.75, dirt: 0.25 } }
+})
+
+registerBiome({
+  id: 'forest',
+  name: 'Forest',
+  climate: { temperature: 0.55, moisture: 0.8 },
+  octaves: [
+    { scale: 0.008, amplitude: 4 },
+    { scale: 0.025, amplitude: 2 },
+    { scale: 0.07, amplitude: 0.6 }
+  ],
+  base: 2,
+  material: { color: 0xc4dab6, layers: { grass: 1 } }
+})
+
+registerBiome({
+  id: 'hills',
+  name: 'Hills',
+  climate: { temperature: 0.4, moisture: 0.6 },
+  octaves: [
+    { scale: 0.006, amplitude: 10 },
+    { scale: 0.02, amplitude: 4 },
+    { scale: 0.05, amplitude: 1 }
+  ],
+  base: 6,
+  material: { color: 0xe8ecd8, layers: { grass: 0.55, dirt: 0.45 } }
+})
+
+registerBiome({
+  id: 'mountains',
+  name: 'Mountains',
+  climate: { temperature: 0.25, moisture: 0.45 },
+  octaves: [
+    { scale: 0.01, amplitude: 30 },
+    { scale: 0.02, amplitude: 15 },
+    { scale: 0.04, amplitude: 8 },
+    { scale: 0.08, amplitude: 3 },
+    { scale: 0.15, amplitude: 1 }
+  ],
+  base: 20,
+  material: { color: 0xffffff, layers: { dirt: 0.3, rock: 0.7 } }
+})
+
+registerBiome({
+  id: 'tundra',
+  name: 'Tundra',
+  climate: { temperature: 0.1, moisture: 0.25 },
+  octaves: [
+    { scale: 0.008, amplitude: 5 },
+    { scale: 0.03, amplitude: 1.5 },
+    { scale: 0.09, amplitude: 0.3 }
+  ],
+  base: 4,
+  material: { color: 0xf2f6f8, layers: { dirt: 0.3, snow: 0.7 } }
+})
+
+registerBiome({
+  id: 'desert',
+  name: 'Desert',
+  climate: { temperature: 0.9, moisture: 0.1 },
+  octaves: [
+    { scale: 0.005, amplitude: 4 },
+    { scale: 0.015, amplitude: 2.5 },
+    { scale: 0.04, amplitude: 0.4 }
+  ],
+  base: 2,
+  material: { color: 0xf0d49a, layers: { dirt: 1 } }
+})
+
+registerBiome({
+  id: 'mesa',
+  name: 'Mesa',
+  climate: { temperature: 0.85, moisture: 0.35 },
+  octaves: [
+    { scale: 0.006, amplitude: 18 },
+    { scale: 0.02, amplitude: 6 },
+    { scale: 0.06, amplitude: 1 }
+  ],
+  base: 10,
+  shape: terrace(6, 6),
+  material: { color: 0xe09a6e, layers: { dirt: 0.4, rock: 0.6 } }
+})
+
+const toClimate = (n) => Math.min(1, Math.max(0, 0.5 + n * CLIMATE_CONTRAST))
+
+export function getClimate(x, z, noise2D) {
+  const temperature = toClimate(noise2D(x * CLIMATE_SCALE + TEMPERATURE_OFFSET, z * CLIMATE_SCALE + TEMPERATURE_OFFSET))
+  const moisture = toClimate(noise2D(x * CLIMATE_SCALE + MOISTURE_OFFSET, z * CLIMATE_SCALE + MOISTURE_OFFSET))
+  return { temperature, moisture }
+}
+
+// Weight of every registered biome at (x, z), summing to 1
+export function getBiomeWeights(x, z, noise2D) {
+  const { temperature, moisture } = getClimate(x, z, noise2D)
+  const weights = new Array(BIOMES.length)
+  let total = 0
+
+  for (let i = 0; i < BIOMES.length; i++) {
+    const dt = temperature - BIOMES[i].climate.temperature
+    const dm = moisture - BIOMES[i].climate.moisture
+    const w = Math.exp(-BIOME_BLEND_SHARPNESS * (dt * dt + dm * dm))
+    weights[i] = w
+    total += w
+  }
+
+  let kept = 0
+  for (let i = 0; i < weights.length; i++) {
+    const w = total > 0 ? weights[i] / total : 0
+    const t = Math.min(1, Math.max(0, (w - MIN_BIOME_WEIGHT) / MIN_BIOME_WEIGHT))
+    weights[i] = w * t * t * (3 - 2 * t)
+    kept += weights[i]
+  }
+  for (let i = 0; i < weights.length; i++) {
+    weights[i] = kept > 0 ? weights[i] / kept : (i === 0 ? 1 : 0)
+  }
+
+  return weights
+}
+
+function getBiomeHeight(biome, x, z, noise2D) {
+  let height = biome.base || 0
+  for (const octave of biome.octaves) {
+    height += noise2D(x * octave.scale, z * octave.scale) * octave.amplitude
+  }
+  return biome.shape ? biome.shape(height) : height
+}
 
 export function getTerrainHeight(x, z, noise2D) {
-  if (!noise2D) return { height: 0, biomeMask: 0, isMountainous: false }
+  if (!noise2D) {
+    const biomeWeights = BIOMES.map((_, i) => (i === 0 ? 1 : 0))
+    return { height: 0, biomeWeights, biome: BIOMES[0] ? BIOMES[0].id : null }
+  }
 
-  // Calculate biome mask (0-1 range)
-  const biomeMask = (noise2D(x * BIOME_SCALE, z * BIOME_SCALE) + 1) / 2
-  const isMountainous = biomeMask > BIOME_THRESHOLD
+  const biomeWeights = getBiomeWeights(x, z, noise2D)
 
+  // Blend each biome's height by its weight so borders are smooth
   let height = 0
-
-  if (isMountainous) {
-    // Mountainous terrain
-    const intensity = (biomeMask - BIOME_THRESHOLD) / (1 - BIOME_THRESHOLD)
-    
-    for (const octave of MOUNTAIN_OCTAVES) {
-      height += noise2D(x * octave.scale, z * octave.scale) * octave.amplitude * intensity
-    }
-    height += MOUNTAIN_BASE * intensity
-  } else {
-    // Flat plains
-    const intensity = 1 - (biomeMask / BIOME_THRESHOLD)
-    
-    for (const octave of PLAINS_OCTAVES) {
-      height += noise2D(x * octave.scale, z * octave.scale) * octave.amplitude * intensity
-    }
-    height += PLAINS_BASE * intensity
+  let dominant = 0
+  for (let i = 0; i < BIOMES.length; i++) {
+    const w = biomeWeights[i]
+    if (w === 0) continue
+    height += getBiomeHeight(BIOMES[i], x, z, noise2D) * w
+    if (w > biomeWeights[dominant]) dominant = i
   }
 
-  return { height, biomeMask, isMountainous }
-}
\ No newline at end of file
+  return { height, biomeWeights, biome: BIOMES[dominant].id }
+}
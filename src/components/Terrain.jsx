@@ -1,14 +1,17 @@
 import { useEffect, useRef } from 'react'
 import * as THREE from 'three'
 import { getTerrainHeight } from './Terrain'
+import { createRandom, createSeededNoise2D, deriveSeed } from './Random.js'
 import vertexShader from '../assets/terrain.vert?raw'
 import fragmentShader from '../assets/terrain.frag?raw'
 
-export default function Terrain({ scene, camera, noise2D, terrainSize = 200, onMaterialUniformsReady }) {
+export default function Terrain({ scene, camera, seed, terrainSize = 200, onMaterialUniformsReady }) {
   const materialUniformsRef = useRef(null)
 
   useEffect(() => {
-    if (!scene || !noise2D) return
+    if (!scene || seed === undefined || seed === null) return
+
+    const noise2D = createSeededNoise2D(seed)
 
     const segments = 128
     const geometry = new THREE.PlaneGeometry(terrainSize, terrainSize, segments, segments)
@@ -102,19 +105,22 @@ export default function Terrain({ scene, camera, noise2D, terrainSize = 200, onM
     const rot = new THREE.Euler()
     const scl = new THREE.Vector3()
 
+    // Separate stream from the terrain noise so grass layout is stable per seed
+    const random = createRandom(deriveSeed(seed, 1))
+
     let placed = 0
     for (let i = 0; i < grassCount * 10 && placed < grassCount; i++) {
-      const x = (Math.random() - 0.5) * terrainSize
-      const z = (Math.random() - 0.5) * terrainSize
+      const x = (random() - 0.5) * terrainSize
+      const z = (random() - 0.5) * terrainSize
 
       // Skip grass that would be too far from the playable area
       if (x * x + z * z > maxGrassDistanceSq) continue
       const terrainData = getTerrainHeight(x, z, noise2D)
 
       if (terrainData.height < materialUniforms.minRockHeight.value) {
-        pos.set(x, terrainData.height + (Math.random() - 0.5) * 0.1, z)
-        rot.set(0, Math.random() * Math.PI * 2, 0)
-        const scale = 0.7 + Math.random() * 0.6
+        pos.set(x, terrainData.height + (random() - 0.5) * 0.1, z)
+        rot.set(0, random() * Math.PI * 2, 0)
+        const scale = 0.7 + random() * 0.6
         scl.set(scale, scale, scale)
 
         matrix.compose(pos, new THREE.Quaternion().setFromEuler(rot), scl)
@@ -149,7 +155,7 @@ export default function Terrain({ scene, camera, noise2D, terrainSize = 200, onM
       grassMesh1.dispose()
       grassMesh2.dispose()
     }
-  }, [scene, camera, noise2D, terrainSize, onMaterialUniformsReady])
+  }, [scene, camera, seed, terrainSize, onMaterialUniformsReady])
 
   return null
 }
\ No newline at end of file
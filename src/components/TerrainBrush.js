@@ -0,0 +1,159 @@
+import * as THREE from 'three'
+import { BRUSH_TOOLS } from './TerrainEdits.js'
+import { TERRAIN_LAYERS } from './Terrain.js'
+
+// How far from the camera the brush can reach (m)
+const BRUSH_REACH = 150
+const MIN_RADIUS = 1
+const MAX_RADIUS = 40
+// Brush strength per second of holding the mouse: metres for raise/lower,
+// how much of the way to the goal for the rest
+const BRUSH_RATES = { raise: 3, lower: 3, smooth: 6, flatten: 6, paint: 4 }
+const CURSOR_SEGMENTS = 48
+// Lift the cursor off the ground so it doesn't flicker into it
+const CURSOR_LIFT = 0.15
+
+// Sculpting and painting aimed from the camera: B toggles the brush, 1-5 pick
+// raise, lower, smooth, flatten or paint (5 again cycles the paint layer),
+// [ and ] size it, and holding the left mouse button while the pointer is
+// locked applies it where the middle of the view meets the ground. Flatten
+// levels to the height where the stroke started. A ring on the ground shows
+// the brush. onChange({ enabled, tool, layer, radius }) reports the settings,
+// e.g. for a HUD.
+export function createTerrainBrush({
+  world,
+  camera,
+  scene,
+  domElement,
+  tool = 'raise',
+  radius = 6,
+  onChange
+}) {
+  if (!BRUSH_TOOLS.includes(tool)) throw new Error(`Unknown brush tool "${tool}"`)
+  const settings = { enabled: false, tool, layer: 0, radius }
+  let stroking = false
+  let flattenHeight = 0
+
+  const cursorPositions = new Float32Array(CURSOR_SEGMENTS * 3)
+  const cursorGeometry = new THREE.BufferGeometry()
+  cursorGeometry.setAttribute('position', new THREE.BufferAttribute(cursorPositions, 3))
+  const cursor = new THREE.LineLoop(cursorGeometry, new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false }))
+  cursor.name = 'terrainBrush'
+  cursor.frustumCulled = false
+  cursor.renderOrder = 1
+  cursor.visible = false
+  scene.add(cursor)
+
+  const notify = () => {
+    if (onChange) onChange({ ...settings, layer: TERRAIN_LAYERS[settings.layer] })
+  }
+
+  const setEnabled = (enabled) => {
+    settings.enabled = enabled
+    if (!enabled) stroking = false
+    cursor.visible = false
+    notify()
+  }
+
+  // layer is an index into TERRAIN_LAYERS, for the paint tool
+  const setTool = (next, layer = settings.layer) => {
+    if (!BRUSH_TOOLS.includes(next)) throw new Error(`Unknown brush tool "${next}"`)
+    settings.tool = next
+    settings.layer = layer
+    notify()
+  }
+
+  const setRadius = (next) => {
+    settings.radius = Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, next))
+    notify()
+  }
+
+  const origin = new THREE.Vector3()
+  const direction = new THREE.Vector3()
+  const aim = () => {
+    camera.getWorldPosition(origin)
+    camera.getWorldDirection(direction)
+    return world.terrainQuery.raycast(origin, direction, BRUSH_REACH)
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.repeat && event.code !== 'BracketLeft' && event.code !== 'BracketRight') return
+    if (event.code === 'KeyB') {
+      setEnabled(!settings.enabled)
+      return
+    }
+    if (!settings.enabled) return
+    const digit = event.code.startsWith('Digit') ? Number(event.code.slice(5)) : 0
+    if (digit >= 1 && digit <= BRUSH_TOOLS.length) {
+      const next = BRUSH_TOOLS[digit - 1]
+      const cycle = next === 'paint' && settings.tool === 'paint'
+      setTool(next, cycle ? (settings.layer + 1) % TERRAIN_LAYERS.length : settings.layer)
+    } else if (event.code === 'BracketLeft') {
+      setRadius(settings.radius - 1)
+    } else if (event.code === 'BracketRight') {
+      setRadius(settings.radius + 1)
+    }
+  }
+
+  const onMouseDown = (event) => {
+    if (event.button !== 0 || !settings.enabled || document.pointerLockElement !== domElement) return
+    const hit = aim()
+    if (!hit) return
+    stroking = true
+    flattenHeight = hit.point.y
+  }
+
+  const onMouseUp = (event) => {
+    if (event.button === 0) stroking = false
+  }
+
+  const placeCursor = (x, z) => {
+    for (let i = 0; i < CURSOR_SEGMENTS; i++) {
+      const angle = (i / CURSOR_SEGMENTS) * Math.PI * 2
+      const px = x + Math.cos(angle) * settings.radius
+      const pz = z + Math.sin(angle) * settings.radius
+      cursorPositions[i * 3] = px
+      cursorPositions[i * 3 + 1] = world.terrainQuery.heightAt(px, pz) + CURSOR_LIFT
+      cursorPositions[i * 3 + 2] = pz
+    }
+    cursorGeometry.attributes.position.needsUpdate = true
+  }
+
+  // After the camera has been placed for this frame
+  const update = ({ dt }) => {
+    if (!settings.enabled) return
+    const hit = aim()
+    cursor.visible = !!hit
+    if (!hit) return
+    if (stroking) {
+      world.sculpt({
+        tool: settings.tool,
+        x: hit.point.x,
+        z: hit.point.z,
+        radius: settings.radius,
+        strength: BRUSH_RATES[settings.tool] * dt,
+        height: flattenHeight,
+        layer: settings.layer
+      })
+    }
+    placeCursor(hit.point.x, hit.point.z)
+  }
+
+  window.addEventListener('keydown', handleKeyDown)
+  domElement.addEventListener('mousedown', onMouseDown)
+  window.addEventListener('mouseup', onMouseUp)
+  const unsubscribe = world.on('update', update)
+  notify()
+
+  const dispose = () => {
+    unsubscribe()
+    window.removeEventListener('keydown', handleKeyDown)
+    domElement.removeEventListener('mousedown', onMouseDown)
+    window.removeEventListener('mouseup', onMouseUp)
+    scene.remove(cursor)
+    cursorGeometry.dispose()
+    cursor.material.dispose()
+  }
+
+  return { setEnabled, setTool, setRadius, get settings() { return { ...settings } }, dispose }
+}
@@ -0,0 +1,279 @@
+import { CHUNK_SIZE, CHUNK_SEGMENTS, getChunkBorder } from './ChunkBuilder.js'
+import { TERRAIN_LAYERS } from './Terrain.js'
+import { sampleHeightfield } from './TerrainQuery.js'
+
+// Edits live on the finest chunk grid, so every LOD reads them at its own vertices
+export const EDIT_SEGMENTS = CHUNK_SEGMENTS
+export const EDIT_STEP = CHUNK_SIZE / EDIT_SEGMENTS
+export const BRUSH_TOOLS = ['raise', 'lower', 'smooth', 'flatten', 'paint']
+
+const GRID_SIZE = EDIT_SEGMENTS + 1
+const LAYER_COUNT = TERRAIN_LAYERS.length
+
+// Soft-edged brush: full strength in the middle, nothing at the rim
+const brushFalloff = (t) => 0.5 + 0.5 * Math.cos(Math.PI * Math.min(1, t))
+
+// Hand edits to the generated terrain, stored sparsely per chunk: only chunks
+// that have been touched hold a grid of height deltas (metres added on top of
+// the generated heights) and, once painted, per-layer paint weights. Vertices
+// are addressed on one world grid, gx = x / EDIT_STEP; vertices on a chunk
+// edge are kept in both chunks so each chunk's grid is complete on its own.
+// Edits outlive the chunks they touch: applyChunkEdits lays them onto chunk
+// data whenever a chunk is (re)built.
+export function createTerrainEdits() {
+  const chunks = new Map() // key -> { chunkX, chunkZ, heights, paint }
+
+  // Most lookups hit the same chunk as the last one
+  let last = { chunkX: NaN, chunkZ: NaN, entry: null }
+  const getEntry = (chunkX, chunkZ) => {
+    if (last.chunkX !== chunkX || last.chunkZ !== chunkZ) {
+      last = { chunkX, chunkZ, entry: chunks.get(`${chunkX},${chunkZ}`) || null }
+    }
+    return last.entry
+  }
+
+  const getOrCreateEntry = (chunkX, chunkZ) => {
+    const key = `${chunkX},${chunkZ}`
+    if (!chunks.has(key)) {
+      chunks.set(key, { chunkX, chunkZ, heights: new Float32Array(GRID_SIZE * GRID_SIZE), paint: null })
+      last = { chunkX: NaN, chunkZ: NaN, entry: null }
+    }
+    return chunks.get(key)
+  }
+
+  // The chunk whose grid holds a vertex, counting its min edges but not its max ones
+  const toChunk = (g) => Math.floor((g + EDIT_SEGMENTS / 2) / EDIT_SEGMENTS)
+  const toLocal = (g, chunk) => g - (chunk * EDIT_SEGMENTS - EDIT_SEGMENTS / 2)
+
+  const heightDeltaAt = (gx, gz) => {
+    const chunkX = toChunk(gx)
+    const chunkZ = toChunk(gz)
+    const entry = getEntry(chunkX, chunkZ)
+    return entry ? entry.heights[toLocal(gz, chunkZ) * GRID_SIZE + toLocal(gx, chunkX)] : 0
+  }
+
+  // Fills target with the paint weights at a vertex; false where nothing is painted
+  const paintAt = (gx, gz, target) => {
+    const chunkX = toChunk(gx)
+    const chunkZ = toChunk(gz)
+    const entry = getEntry(chunkX, chunkZ)
+    if (!entry || !entry.paint) return false
+    const offset = (toLocal(gz, chunkZ) * GRID_SIZE + toLocal(gx, chunkX)) * LAYER_COUNT
+    let total = 0
+    for (let layer = 0; layer < LAYER_COUNT; layer++) {
+      target[layer] = entry.paint[offset + layer]
+      total += target[layer]
+    }
+    return total > 0
+  }
+
+  // Calls fn(entry, index) for every chunk grid holding the vertex (up to four on corners)
+  const forEachCopy = (gx, gz, fn) => {
+    const chunkX = toChunk(gx)
+    const chunkZ = toChunk(gz)
+    const xs = toLocal(gx, chunkX) === 0 ? [chunkX, chunkX - 1] : [chunkX]
+    const zs = toLocal(gz, chunkZ) === 0 ? [chunkZ, chunkZ - 1] : [chunkZ]
+    for (const cz of zs) {
+      for (const cx of xs) {
+        const entry = getOrCreateEntry(cx, cz)
+        fn(entry, toLocal(gz, cz) * GRID_SIZE + toLocal(gx, cx))
+      }
+    }
+  }
+
+  const setHeightDelta = (gx, gz, delta) => {
+    forEachCopy(gx, gz, (entry, i) => {
+      entry.heights[i] = delta
+    })
+  }
+
+  // Blends a vertex's paint towards one layer; the weights always sum to 1 or less
+  const addPaint = (gx, gz, layer, amount) => {
+    forEachCopy(gx, gz, (entry, i) => {
+      if (!entry.paint) entry.paint = new Float32Array(GRID_SIZE * GRID_SIZE * LAYER_COUNT)
+      for (let l = 0; l < LAYER_COUNT; l++) {
+        const weight = entry.paint[i * LAYER_COUNT + l] * (1 - amount)
+        entry.paint[i * LAYER_COUNT + l] = l === layer ? weight + amount : weight
+      }
+    })
+  }
+
+  // Applies one dab of a brush centred on (x, z):
+  //   raise / lower  move the ground by strength metres at the centre
+  //   smooth         pulls each vertex towards its neighbours' average
+  //   flatten        pulls each vertex towards height
+  //   paint          blends the surface towards TERRAIN_LAYERS[layer]
+  // smooth, flatten and paint take a strength of 0-1 per dab. heightAt(x, z)
+  // gives the current (edited) surface height. Returns the world-space
+  // bounds of the vertices that changed, or null if none did.
+  const applyBrush = ({ tool, x, z, radius, strength = 1, height = 0, layer = 0 }, heightAt) => {
+    if (!BRUSH_TOOLS.includes(tool)) throw new Error(`Unknown brush tool "${tool}"`)
+    if (tool === 'paint' && (layer < 0 || layer >= LAYER_COUNT)) throw new Error(`Unknown terrain layer ${layer}`)
+    if (!(radius > 0) || strength === 0) return null
+
+    const minGx = Math.ceil((x - radius) / EDIT_STEP)
+    const maxGx = Math.floor((x + radius) / EDIT_STEP)
+    const minGz = Math.ceil((z - radius) / EDIT_STEP)
+    const maxGz = Math.floor((z + radius) / EDIT_STEP)
+    // Work out every vertex before writing any, so smoothing reads the ground as it was
+    const changes = []
+    for (let gz = minGz; gz <= maxGz; gz++) {
+      for (let gx = minGx; gx <= maxGx; gx++) {
+        const vx = gx * EDIT_STEP
+        const vz = gz * EDIT_STEP
+        const distance = Math.hypot(vx - x, vz - z)
+        if (distance > radius) continue
+        const weight = brushFalloff(distance / radius) * strength
+        if (tool === 'paint') {
+          changes.push(gx, gz, Math.min(1, weight))
+          continue
+        }
+
+        let delta = heightDeltaAt(gx, gz)
+        if (tool === 'raise') delta += weight
+        else if (tool === 'lower') delta -= weight
+        else {
+          const current = heightAt(vx, vz)
+          const goal = tool === 'flatten'
+            ? height
+            : (heightAt(vx - EDIT_STEP, vz) + heightAt(vx + EDIT_STEP, vz) +
+              heightAt(vx, vz - EDIT_STEP) + heightAt(vx, vz + EDIT_STEP)) / 4
+          delta += (goal - current) * Math.min(1, weight)
+        }
+        changes.push(gx, gz, delta)
+      }
+    }
+    if (changes.length === 0) return null
+
+    for (let i = 0; i < changes.length; i += 3) {
+      if (tool === 'paint') addPaint(changes[i], changes[i + 1], layer, changes[i + 2])
+      else setHeightDelta(changes[i], changes[i + 1], changes[i + 2])
+    }
+    return {
+      minX: minGx * EDIT_STEP,
+      maxX: maxGx * EDIT_STEP,
+      minZ: minGz * EDIT_STEP,
+      maxZ: maxGz * EDIT_STEP
+    }
+  }
+
+  // Whether a chunk's surface depends on any edit: its own, or a neighbour's
+  // along the shared edge, which bends the normals there
+  const hasEditsNear = (chunkX, chunkZ) => {
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (chunks.has(`${chunkX + dx},${chunkZ + dz}`)) return true
+      }
+    }
+    return false
+  }
+
+  const clear = () => {
+    chunks.clear()
+    last = { chunkX: NaN, chunkZ: NaN, entry: null }
+  }
+
+  // Every edited chunk as { chunkX, chunkZ, heights, paint }, paint null
+  // where nothing was painted. The arrays are the live ones, not copies.
+  const getChunks = () => [...chunks.values()]
+
+  // Replaces all edits with chunks shaped like getChunks() returns
+  const load = (list) => {
+    clear()
+    for (const { chunkX, chunkZ, heights, paint = null } of list) {
+      if (heights.length !== GRID_SIZE * GRID_SIZE || (paint && paint.length !== GRID_SIZE * GRID_SIZE * LAYER_COUNT)) {
+        throw new Error(`Edits for chunk ${chunkX},${chunkZ} don't fit a ${GRID_SIZE}x${GRID_SIZE} grid`)
+      }
+      chunks.set(`${chunkX},${chunkZ}`, {
+        chunkX,
+        chunkZ,
+        heights: Float32Array.from(heights),
+        paint: paint ? Float32Array.from(paint) : null
+      })
+    }
+  }
+
+  return {
+    heightDeltaAt,
+    paintAt,
+    applyBrush,
+    hasEditsNear,
+    getChunks,
+    load,
+    clear
+  }
+}
+
+// A copy of chunk data for edits to change, sharing the arrays edits never
+// touch. The original stays as the base edits are laid onto, so it can be
+// cached and reused as generated.
+export function copyChunkForEdits(data) {
+  return {
+    ...data,
+    heights: data.heights.slice(),
+    positions: data.positions.slice(),
+    normals: data.normals.slice(),
+    splat: data.splat.slice(),
+    props: Object.fromEntries(Object.entries(data.props).map(([ruleId, instances]) => [ruleId, instances.slice()])),
+    colliders: data.colliders.slice()
+  }
+}
+
+// Lays the edits onto chunk data in place, starting from the unedited base
+// (see copyChunkForEdits): heights, mesh positions (skirt included), normals and
+// splat weights, and props and colliders moved onto the new ground. Normals
+// keep the generated slope and add the slope of the edits, which are known
+// past the chunk edge, so seams stay smooth.
+export function applyChunkEdits(data, base, edits) {
+  const { chunkX, chunkZ, segments, heights, positions, normals, splat } = data
+  const stride = EDIT_SEGMENTS / segments
+  const step = CHUNK_SIZE / segments
+  const gridSize = segments + 1
+  const gridVertexCount = gridSize * gridSize
+  const vertexCount = positions.length / 3
+  const border = vertexCount > gridVertexCount ? getChunkBorder(segments) : []
+  const originGx = chunkX * EDIT_SEGMENTS - EDIT_SEGMENTS / 2
+  const originGz = chunkZ * EDIT_SEGMENTS - EDIT_SEGMENTS / 2
+  const paint = new Float32Array(LAYER_COUNT)
+
+  for (let v = 0; v < vertexCount; v++) {
+    // Skirt vertices follow the border vertex above them
+    const g = v < gridVertexCount ? v : border[v - gridVertexCount]
+    const gx = originGx + (g % gridSize) * stride
+    const gz = originGz + Math.floor(g / gridSize) * stride
+    const delta = edits.heightDeltaAt(gx, gz)
+    if (v < gridVertexCount) heights[v] = base.heights[v] + delta
+    positions[v * 3 + 1] = base.positions[v * 3 + 1] + delta
+
+    // Generated normals are (hLeft - hRight, 2 * step, hUp - hDown), normalised
+    const scale = 2 * step / base.normals[v * 3 + 1]
+    const nx = base.normals[v * 3] * scale + edits.heightDeltaAt(gx - stride, gz) - edits.heightDeltaAt(gx + stride, gz)
+    const nz = base.normals[v * 3 + 2] * scale + edits.heightDeltaAt(gx, gz - stride) - edits.heightDeltaAt(gx, gz + stride)
+    const length = Math.hypot(nx, 2 * step, nz)
+    normals[v * 3] = nx / length
+    normals[v * 3 + 1] = 2 * step / length
+    normals[v * 3 + 2] = nz / length
+
+    if (edits.paintAt(gx, gz, paint)) {
+      let total = 0
+      for (let layer = 0; layer < LAYER_COUNT; layer++) total += paint[layer]
+      for (let layer = 0; layer < LAYER_COUNT; layer++) {
+        splat[v * LAYER_COUNT + layer] = base.splat[v * LAYER_COUNT + layer] * (1 - total) + paint[layer]
+      }
+    } else {
+      splat.set(base.splat.subarray(v * LAYER_COUNT, (v + 1) * LAYER_COUNT), v * LAYER_COUNT)
+    }
+  }
+
+  // Props and colliders stand on the rendered surface, [x, y, z, ...] in world space
+  const originX = chunkX * CHUNK_SIZE - CHUNK_SIZE / 2
+  const originZ = chunkZ * CHUNK_SIZE - CHUNK_SIZE / 2
+  const settle = (items, itemSize) => {
+    for (let i = 0; i < items.length; i += itemSize) {
+      items[i + 1] = sampleHeightfield(heights, segments, CHUNK_SIZE, items[i] - originX, items[i + 2] - originZ)
+    }
+  }
+  Object.values(data.props).forEach((instances) => settle(instances, 5))
+  settle(data.colliders, 5)
+  return data
+}
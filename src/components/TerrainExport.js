@@ -0,0 +1,307 @@
+import * as THREE from 'three'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js'
+import { buildChunkData, CHUNK_SIZE, CHUNK_SEGMENTS, BASE_GROUND_OFFSET } from './ChunkBuilder.js'
+import { sampleHeightfield } from './TerrainQuery.js'
+import { SCATTER_RULES } from './ScatterRules.js'
+import { createPropGeometry, PROP_GROUND_SINK } from './ChunkScatter.js'
+import { bakeTerrainColors } from './TerrainMaterial.js'
+import { createTerrainSampler } from './Heightmap.js'
+import { BIOMES } from './Terrain.js'
+import { encodePng } from './Png.js'
+
+// Regions bigger than this many chunks are refused rather than locking up the page
+export const MAX_EXPORT_CHUNKS = 400
+
+// Chunk data (see buildChunkData) for every chunk overlapping a world-space
+// rectangle, at full resolution and without skirts. Pass a worker pool to
+// build off the main thread; otherwise chunks are built in place.
+export async function buildRegionChunks({
+  seed,
+  minX,
+  minZ,
+  maxX,
+  maxZ,
+  segments = CHUNK_SEGMENTS,
+  waterLevel = -Infinity,
+  erosion = null,
+  heightmap = null,
+  pool = null
+}) {
+  if (!(maxX > minX && maxZ > minZ)) throw new Error('Export region is empty')
+  const fromX = Math.round(minX / CHUNK_SIZE)
+  const toX = Math.round(maxX / CHUNK_SIZE)
+  const fromZ = Math.round(minZ / CHUNK_SIZE)
+  const toZ = Math.round(maxZ / CHUNK_SIZE)
+  const count = (toX - fromX + 1) * (toZ - fromZ + 1)
+  if (count > MAX_EXPORT_CHUNKS) {
+    throw new Error(`Export region covers ${count} chunks, more than ${MAX_EXPORT_CHUNKS}`)
+  }
+
+  const jobs = []
+  for (let chunkZ = fromZ; chunkZ <= toZ; chunkZ++) {
+    for (let chunkX = fromX; chunkX <= toX; chunkX++) {
+      const job = { chunkX, chunkZ, seed, segments, skirt: false, waterLevel, erosion }
+      // Pool workers already hold the heightmap (see ChunkWorker)
+      jobs.push(pool ? pool.run(job) : buildChunkData({ ...job, heightmap }))
+    }
+  }
+  return Promise.all(jobs)
+}
+
+// Only the chunk grid: skirts (loaded chunks have them) would show up as
+// walls under every chunk edge in other tools
+const getGridIndex = (chunk) => chunk.index.subarray(0, chunk.segments * chunk.segments * 6)
+const getGridVertexCount = (chunk) => (chunk.segments + 1) * (chunk.segments + 1)
+
+// World-space bounds of a set of chunks
+function getChunkBounds(chunks) {
+  const half = CHUNK_SIZE / 2
+  return {
+    minX: Math.min(...chunks.map((c) => c.chunkX * CHUNK_SIZE - half)),
+    minZ: Math.min(...chunks.map((c) => c.chunkZ * CHUNK_SIZE - half)),
+    maxX: Math.max(...chunks.map((c) => c.chunkX * CHUNK_SIZE + half)),
+    maxZ: Math.max(...chunks.map((c) => c.chunkZ * CHUNK_SIZE + half))
+  }
+}
+
+// One merged terrain mesh with baked vertex colours (world space), plus one
+// merged mesh per scatter rule with every prop instance baked in.
+export function createExportScene(chunks, { props = true } = {}) {
+  if (chunks.length === 0) throw new Error('Nothing to export')
+  const root = new THREE.Group()
+  root.name = 'terrain'
+
+  const vertexTotal = chunks.reduce((sum, chunk) => sum + getGridVertexCount(chunk), 0)
+  const indexTotal = chunks.reduce((sum, chunk) => sum + getGridIndex(chunk).length, 0)
+  const positions = new Float32Array(vertexTotal * 3)
+  const normals = new Float32Array(vertexTotal * 3)
+  const colors = new Float32Array(vertexTotal * 3)
+  const index = new Uint32Array(indexTotal)
+  let vertexOffset = 0
+  let indexOffset = 0
+  for (const chunk of chunks) {
+    const count = getGridVertexCount(chunk)
+    const baked = bakeTerrainColors(chunk)
+    for (let i = 0; i < count; i++) {
+      const o = (vertexOffset + i) * 3
+      positions[o] = chunk.positions[i * 3] + chunk.chunkX * CHUNK_SIZE
+      positions[o + 1] = chunk.positions[i * 3 + 1]
+      positions[o + 2] = chunk.positions[i * 3 + 2] + chunk.chunkZ * CHUNK_SIZE
+    }
+    normals.set(chunk.normals.subarray(0, count * 3), vertexOffset * 3)
+    colors.set(baked.subarray(0, count * 3), vertexOffset * 3)
+    const gridIndex = getGridIndex(chunk)
+    for (let i = 0; i < gridIndex.length; i++) index[indexOffset + i] = gridIndex[i] + vertexOffset
+    vertexOffset += count
+    indexOffset += gridIndex.length
+  }
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+  geometry.setIndex(new THREE.BufferAttribute(index, 1))
+  const ground = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ name: 'terrain', vertexColors: true, roughness: 0.9 }))
+  ground.name = 'ground'
+  root.add(ground)
+
+  if (props) {
+    const matrix = new THREE.Matrix4()
+    const pos = new THREE.Vector3()
+    const quat = new THREE.Quaternion()
+    const scl = new THREE.Vector3()
+    const up = new THREE.Vector3(0, 1, 0)
+    for (const rule of SCATTER_RULES) {
+      const instances = chunks.flatMap((chunk) => (chunk.props[rule.id] ? [chunk.props[rule.id]] : []))
+      const count = instances.reduce((sum, list) => sum + list.length / 5, 0)
+      if (count === 0) continue
+
+      const model = createPropGeometry(rule)
+      const modelPositions = model.attributes.position
+      const modelNormals = model.attributes.normal
+      const modelColors = model.attributes.color
+      const stride = modelPositions.count
+      const propPositions = new Float32Array(count * stride * 3)
+      const propNormals = new Float32Array(count * stride * 3)
+      const propColors = new Float32Array(count * stride * 3)
+      const vertex = new THREE.Vector3()
+      const normalMatrix = new THREE.Matrix3()
+      let n = 0
+      for (const list of instances) {
+        for (let i = 0; i < list.length; i += 5, n++) {
+          pos.set(list[i], list[i + 1] - PROP_GROUND_SINK, list[i + 2])
+          quat.setFromAxisAngle(up, list[i + 3])
+          scl.setScalar(list[i + 4])
+          matrix.compose(pos, quat, scl)
+          normalMatrix.getNormalMatrix(matrix)
+          for (let v = 0; v < stride; v++) {
+            const o = (n * stride + v) * 3
+            vertex.fromBufferAttribute(modelPositions, v).applyMatrix4(matrix).toArray(propPositions, o)
+            vertex.fromBufferAttribute(modelNormals, v).applyMatrix3(normalMatrix).normalize().toArray(propNormals, o)
+            vertex.fromBufferAttribute(modelColors, v).toArray(propColors, o)
+          }
+        }
+      }
+      model.dispose()
+
+      const propGeometry = new THREE.BufferGeometry()
+      propGeometry.setAttribute('position', new THREE.BufferAttribute(propPositions, 3))
+      propGeometry.setAttribute('normal', new THREE.BufferAttribute(propNormals, 3))
+      propGeometry.setAttribute('color', new THREE.BufferAttribute(propColors, 3))
+      const mesh = new THREE.Mesh(propGeometry, new THREE.MeshStandardMaterial({
+        name: rule.id,
+        vertexColors: true,
+        flatShading: true,
+        roughness: 0.9
+      }))
+      mesh.name = rule.id
+      root.add(mesh)
+    }
+  }
+
+  return root
+}
+
+export function disposeExportScene(root) {
+  root.traverse((object) => {
+    if (!object.isMesh) return
+    object.geometry.dispose()
+    object.material.dispose()
+  })
+}
+
+// glTF of the chunks: an ArrayBuffer (GLB) when binary, otherwise the glTF JSON
+export async function exportGltf(chunks, { binary = true, props = true } = {}) {
+  const root = createExportScene(chunks, { props })
+  try {
+    const result = await new GLTFExporter().parseAsync(root, { binary })
+    return binary ? result : JSON.stringify(result)
+  } finally {
+    disposeExportScene(root)
+  }
+}
+
+// Wavefront OBJ of the chunks (geometry and vertex colours, no MTL)
+export function exportObj(chunks, { props = true } = {}) {
+  const root = createExportScene(chunks, { props })
+  try {
+    return new OBJExporter().parse(root)
+  } finally {
+    disposeExportScene(root)
+  }
+}
+
+// Regular grid over the chunks at the finest resolution among them; calls
+// sample(x, z, chunk) for every pixel that a chunk covers, NaN elsewhere.
+function sampleChunkGrid(chunks, sample) {
+  const bounds = getChunkBounds(chunks)
+  const step = CHUNK_SIZE / Math.max(...chunks.map((c) => c.segments))
+  const width = Math.round((bounds.maxX - bounds.minX) / step) + 1
+  const height = Math.round((bounds.maxZ - bounds.minZ) / step) + 1
+  const byKey = new Map(chunks.map((chunk) => [`${chunk.chunkX},${chunk.chunkZ}`, chunk]))
+  const values = []
+  for (let row = 0; row < height; row++) {
+    const z = bounds.minZ + row * step
+    for (let col = 0; col < width; col++) {
+      const x = bounds.minX + col * step
+      const chunk = byKey.get(`${Math.round(x / CHUNK_SIZE)},${Math.round(z / CHUNK_SIZE)}`) ||
+        // Pixels on the outer edge round into the chunk beyond it
+        byKey.get(`${Math.round((x - step / 2) / CHUNK_SIZE)},${Math.round((z - step / 2) / CHUNK_SIZE)}`)
+      values.push(chunk ? sample(x, z, chunk) : NaN)
+    }
+  }
+  return { bounds, step, width, height, values }
+}
+
+// 16-bit greyscale heightmap of the rendered surface, rows along +z. The
+// tEXt "terrain" chunk (also returned as options) holds the parseHeightmap
+// options that bring it back in at the same place and scale.
+export async function exportHeightmapPng(chunks) {
+  const { bounds, step, width, height, values } = sampleChunkGrid(chunks, (x, z, chunk) =>
+    sampleHeightfield(
+      chunk.heights,
+      chunk.segments,
+      CHUNK_SIZE,
+      x - (chunk.chunkX * CHUNK_SIZE - CHUNK_SIZE / 2),
+      z - (chunk.chunkZ * CHUNK_SIZE - CHUNK_SIZE / 2)
+    ))
+  let minHeight = Infinity
+  let maxHeight = -Infinity
+  for (const value of values) {
+    if (Number.isNaN(value)) continue
+    minHeight = Math.min(minHeight, value)
+    maxHeight = Math.max(maxHeight, value)
+  }
+  maxHeight = Math.max(maxHeight, minHeight + 0.001)
+  const samples = new Uint16Array(values.length)
+  values.forEach((value, i) => {
+    // Holes (chunks not loaded) sit at the lowest height
+    samples[i] = Number.isNaN(value) ? 0 : Math.round(((value - minHeight) / (maxHeight - minHeight)) * 65535)
+  })
+
+  // Imported heights are generator heights, which render BASE_GROUND_OFFSET lower
+  const options = {
+    worldScale: step,
+    heightRange: [minHeight + BASE_GROUND_OFFSET, maxHeight + BASE_GROUND_OFFSET],
+    center: [(bounds.minX + bounds.maxX) / 2, (bounds.minZ + bounds.maxZ) / 2]
+  }
+  const png = await encodePng({ width, height, bitDepth: 16, samples, text: { terrain: JSON.stringify(options) } })
+  return { png, options }
+}
+
+// Distinct colour per biome (by registry order) for the mask image
+const getBiomeMaskColor = (index) => {
+  const color = new THREE.Color().setHSL(index / Math.max(1, BIOMES.length), 0.7, 0.5, THREE.SRGBColorSpace)
+  const { r, g, b } = color.getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace)
+  return [r, g, b].map((c) => Math.round(c * 255))
+}
+
+// RGB image of the dominant biome at every heightmap pixel. Biomes come from
+// the generator, so this needs the seed (and heightmap) the chunks were built
+// with. The legend maps biome ids to their colours; it is also stored in a
+// tEXt "biomes" chunk.
+export async function exportBiomeMaskPng(chunks, { seed, heightmap = null }) {
+  const sampleTerrain = createTerrainSampler({ seed, heightmap })
+  const biomeIndex = new Map(BIOMES.map((biome, i) => [biome.id, i]))
+  const { width, height, values } = sampleChunkGrid(chunks, (x, z) => biomeIndex.get(sampleTerrain(x, z).biome))
+  const palette = BIOMES.map((_, i) => getBiomeMaskColor(i))
+  const samples = new Uint8Array(values.length * 3)
+  values.forEach((value, i) => {
+    if (!Number.isNaN(value)) samples.set(palette[value], i * 3)
+  })
+
+  const legend = Object.fromEntries(BIOMES.map((biome, i) => [biome.id, palette[i]]))
+  const png = await encodePng({ width, height, channels: 3, samples, text: { biomes: JSON.stringify(legend) } })
+  return { png, legend }
+}
+
+export const EXPORT_FORMATS = ['glb', 'gltf', 'obj', 'heightmap', 'biomes']
+
+// Every requested format as files ready to save: [{ name, data, type }].
+// seed (and heightmap) are only needed for the biome mask.
+export async function exportTerrain(chunks, {
+  formats = EXPORT_FORMATS,
+  name = 'terrain',
+  props = true,
+  seed,
+  heightmap = null
+} = {}) {
+  const files = []
+  for (const format of formats) {
+    if (format === 'glb') {
+      files.push({ name: `${name}.glb`, data: await exportGltf(chunks, { binary: true, props }), type: 'model/gltf-binary' })
+    } else if (format === 'gltf') {
+      files.push({ name: `${name}.gltf`, data: await exportGltf(chunks, { binary: false, props }), type: 'model/gltf+json' })
+    } else if (format === 'obj') {
+      files.push({ name: `${name}.obj`, data: exportObj(chunks, { props }), type: 'model/obj' })
+    } else if (format === 'heightmap') {
+      files.push({ name: `${name}-height.png`, data: (await exportHeightmapPng(chunks)).png, type: 'image/png' })
+    } else if (format === 'biomes') {
+      files.push({ name: `${name}-biomes.png`, data: (await exportBiomeMaskPng(chunks, { seed, heightmap })).png, type: 'image/png' })
+    } else {
+      throw new Error(`Unknown export format "${format}"`)
+    }
+  }
+  return files
+}
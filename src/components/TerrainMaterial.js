@@ -0,0 +1,198 @@
+import * as THREE from 'three'
+
+// World-space size of one texture repeat per layer (grass, dirt, rock, snow)
+const LAYER_TILE_SIZE = new THREE.Vector4(6, 12, 18, 12)
+const LAYER_ROUGHNESS = new THREE.Vector4(0.85, 0.92, 0.95, 0.6)
+// Slope (1 - normal.y) where rock starts/finishes taking over
+const ROCK_SLOPE = new THREE.Vector2(0.18, 0.35)
+// Height where snow starts/finishes covering the ground
+const SNOW_HEIGHT = new THREE.Vector2(28, 38)
+const DISPLACEMENT_NORMAL_STRENGTH = 1.5
+// Deposited sediment shows as dirt; wet ground (where runoff collects) is darker and smoother
+const SEDIMENT_DIRT = 0.8
+const WETNESS_DARKENING = 0.35
+const WET_ROUGHNESS = 0.55
+// Average colour of each layer texture, for baking colours without the shader
+const LAYER_BAKED_COLORS = [0x5f7436, 0x7a6650, 0x85807a, 0xf2f4f5].map((hex) => new THREE.Color(hex).toArray())
+
+const loadTexture = (loader, url, isColor) => {
+  const texture = loader.load(url)
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping
+  if (isColor) texture.colorSpace = THREE.SRGBColorSpace
+  return texture
+}
+
+const vertexPars = /* glsl */ `
+attribute vec4 splat;
+attribute vec2 erosion;
+varying vec4 vSplat;
+varying vec2 vErosion;
+varying vec3 vTerrainWorldPosition;
+varying vec3 vTerrainWorldNormal;
+`
+
+const vertexMain = /* glsl */ `
+vSplat = splat;
+vErosion = erosion;
+vTerrainWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vTerrainWorldNormal = normalize(mat3(modelMatrix) * objectNormal);
+`
+
+const fragmentPars = /* glsl */ `
+uniform sampler2D uGrassMap;
+uniform sampler2D uDirtMap;
+uniform sampler2D uRockMap;
+uniform sampler2D uRockDisplacementMap;
+uniform vec4 uLayerTileSize;
+uniform vec4 uLayerRoughness;
+uniform vec2 uRockSlope;
+uniform vec2 uSnowHeight;
+uniform float uDisplacementStrength;
+uniform float uSedimentDirt;
+uniform float uWetnessDarkening;
+uniform float uWetRoughness;
+varying vec4 vSplat;
+varying vec2 vErosion;
+varying vec3 vTerrainWorldPosition;
+varying vec3 vTerrainWorldNormal;
+
+// Biome splat weights with sediment as extra dirt, pushed towards rock on
+// steep ground and snow up high
+vec4 getTerrainWeights() {
+  vec4 weights = vSplat + vec4(0.0, vErosion.x * uSedimentDirt, 0.0, 0.0);
+  float slope = 1.0 - normalize(vTerrainWorldNormal).y;
+  float rock = smoothstep(uRockSlope.x, uRockSlope.y, slope);
+  float snow = smoothstep(uSnowHeight.x, uSnowHeight.y, vTerrainWorldPosition.y) * (1.0 - rock * 0.7);
+  weights = mix(weights, vec4(0.0, 0.0, 1.0, 0.0), rock);
+  weights = mix(weights, vec4(0.0, 0.0, 0.0, 1.0), snow);
+  return weights / max(dot(weights, vec4(1.0)), 0.0001);
+}
+`
+
+const fragmentMap = /* glsl */ `
+vec4 terrainWeights = getTerrainWeights();
+// World-space uvs so textures run seamlessly across chunks
+vec2 terrainUv = vTerrainWorldPosition.xz;
+vec3 grassColor = texture2D(uGrassMap, terrainUv / uLayerTileSize.x).rgb;
+vec3 dirtColor = texture2D(uDirtMap, terrainUv / uLayerTileSize.y).rgb;
+vec3 rockColor = texture2D(uRockMap, terrainUv / uLayerTileSize.z).rgb;
+// No snow texture: reuse the dirt detail, washed out to near white
+vec3 snowDetail = texture2D(uDirtMap, terrainUv / uLayerTileSize.w).rgb;
+vec3 snowColor = mix(vec3(dot(snowDetail, vec3(0.299, 0.587, 0.114))), vec3(1.0), 0.75);
+diffuseColor.rgb *= grassColor * terrainWeights.x +
+  dirtColor * terrainWeights.y +
+  rockColor * terrainWeights.z +
+  snowColor * terrainWeights.w;
+diffuseColor.rgb *= 1.0 - vErosion.y * uWetnessDarkening;
+`
+
+const fragmentRoughness = /* glsl */ `
+float roughnessFactor = mix(dot(terrainWeights, uLayerRoughness), uWetRoughness, vErosion.y);
+`
+
+// Bump the normal with the rock displacement map where rock shows
+const fragmentNormal = /* glsl */ `
+if (terrainWeights.z > 0.01) {
+  vec2 rockUv = terrainUv / uLayerTileSize.z;
+  vec2 texel = vec2(1.0) / vec2(textureSize(uRockDisplacementMap, 0));
+  float hL = texture2D(uRockDisplacementMap, rockUv - vec2(texel.x, 0.0)).r;
+  float hR = texture2D(uRockDisplacementMap, rockUv + vec2(texel.x, 0.0)).r;
+  float hD = texture2D(uRockDisplacementMap, rockUv - vec2(0.0, texel.y)).r;
+  float hU = texture2D(uRockDisplacementMap, rockUv + vec2(0.0, texel.y)).r;
+  vec2 gradient = vec2(hR - hL, hU - hD) * uDisplacementStrength * terrainWeights.z;
+  vec3 detailNormal = normalize(normalize(vTerrainWorldNormal) - vec3(gradient.x, 0.0, gradient.y));
+  normal = normalize(mat3(viewMatrix) * detailNormal) * faceDirection;
+}
+`
+
+// One material for every chunk: a MeshStandardMaterial (so three.js lighting,
+// fog and shadows keep working) that blends grass, dirt, rock and snow layers.
+export function createTerrainMaterial() {
+  const loader = new THREE.TextureLoader()
+  const textures = {
+    grass: loadTexture(loader, '/grass/grass_bermuda_01_diff_4k.jpg', true),
+    dirt: loadTexture(loader, '/ground/rocky_terrain_02_diff_4k.jpg', true),
+    rock: loadTexture(loader, '/rock/rock_face_03_diff_4k.jpg', true),
+    rockDisplacement: loadTexture(loader, '/rock/rock_face_03_disp_4k.png', false)
+  }
+
+  const material = new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    roughness: 1,
+    metalness: 0.03,
+    side: THREE.DoubleSide,
+    // Only faces turned away from the sun go into the shadow maps: hills still
+    // shadow what's behind them, but lit ground and the skirts hanging under
+    // chunk edges can't shadow themselves (no acne)
+    shadowSide: THREE.BackSide
+  })
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, {
+      uGrassMap: { value: textures.grass },
+      uDirtMap: { value: textures.dirt },
+      uRockMap: { value: textures.rock },
+      uRockDisplacementMap: { value: textures.rockDisplacement },
+      uLayerTileSize: { value: LAYER_TILE_SIZE },
+      uLayerRoughness: { value: LAYER_ROUGHNESS },
+      uRockSlope: { value: ROCK_SLOPE },
+      uSnowHeight: { value: SNOW_HEIGHT },
+      uDisplacementStrength: { value: DISPLACEMENT_NORMAL_STRENGTH },
+      uSedimentDirt: { value: SEDIMENT_DIRT },
+      uWetnessDarkening: { value: WETNESS_DARKENING },
+      uWetRoughness: { value: WET_ROUGHNESS }
+    })
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${vertexPars}`)
+      .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>\n${vertexMain}`)
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${fragmentPars}`)
+      .replace('#include <map_fragment>', fragmentMap)
+      .replace('#include <roughnessmap_fragment>', fragmentRoughness)
+      .replace('#include <normal_fragment_maps>', `#include <normal_fragment_maps>\n${fragmentNormal}`)
+  }
+
+  const dispose = () => {
+    material.dispose()
+    Object.values(textures).forEach((texture) => texture.dispose())
+  }
+
+  return { material, dispose }
+}
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+  return t * t * (3 - 2 * t)
+}
+
+// Per-vertex linear colours that approximate what the material draws (layer
+// weights, rock on slopes, snow up high, wet darkening), for exporters and
+// other places that can't run the shader. Arrays are the chunk data buffers.
+export function bakeTerrainColors({ positions, normals, splat, colors, erosion }) {
+  const count = positions.length / 3
+  const baked = new Float32Array(count * 3)
+  const weights = [0, 0, 0, 0]
+  for (let i = 0; i < count; i++) {
+    const sediment = erosion ? erosion[i * 2] : 0
+    const wetness = erosion ? erosion[i * 2 + 1] : 0
+    const rock = smoothstep(ROCK_SLOPE.x, ROCK_SLOPE.y, 1 - normals[i * 3 + 1])
+    const snow = smoothstep(SNOW_HEIGHT.x, SNOW_HEIGHT.y, positions[i * 3 + 1]) * (1 - rock * 0.7)
+    let total = 0
+    for (let layer = 0; layer < 4; layer++) {
+      let w = splat[i * 4 + layer] + (layer === 1 ? sediment * SEDIMENT_DIRT : 0)
+      w += ((layer === 2 ? 1 : 0) - w) * rock
+      w += ((layer === 3 ? 1 : 0) - w) * snow
+      weights[layer] = w
+      total += w
+    }
+    const shade = (1 - wetness * WETNESS_DARKENING) / Math.max(total, 0.0001)
+    for (let c = 0; c < 3; c++) {
+      let color = 0
+      for (let layer = 0; layer < 4; layer++) color += LAYER_BAKED_COLORS[layer][c] * weights[layer]
+      baked[i * 3 + c] = color * colors[i * 3 + c] * shade
+    }
+  }
+  return baked
+}
@@ -0,0 +1,187 @@
+import { createTerrainSampler } from './Heightmap.js'
+import { CHUNK_SIZE, BASE_GROUND_OFFSET } from './ChunkBuilder.js'
+
+const FALLBACK_NORMAL_EPSILON = 0.5
+const RAY_MIN_STEP = 0.25
+const RAY_MAX_STEP = 10
+const RAY_REFINE_ITERATIONS = 24
+
+// Height of the rendered surface inside one chunk heightfield. localX/localZ
+// are measured from the chunk's min corner. Uses the same quad split as the
+// chunk mesh, so the result lies exactly on the drawn triangles.
+export function sampleHeightfield(heights, segments, size, localX, localZ, normalTarget) {
+  const step = size / segments
+  const gridSize = segments + 1
+  const u = localX / step
+  const v = localZ / step
+  const ix = Math.min(segments - 1, Math.max(0, Math.floor(u)))
+  const iz = Math.min(segments - 1, Math.max(0, Math.floor(v)))
+  const fx = u - ix
+  const fz = v - iz
+
+  const ha = heights[iz * gridSize + ix]
+  const hb = heights[(iz + 1) * gridSize + ix]
+  const hc = heights[(iz + 1) * gridSize + ix + 1]
+  const hd = heights[iz * gridSize + ix + 1]
+
+  let height, slopeX, slopeZ
+  if (fx + fz <= 1) {
+    // Triangle (a, b, d)
+    slopeX = hd - ha
+    slopeZ = hb - ha
+    height = ha + slopeX * fx + slopeZ * fz
+  } else {
+    // Triangle (b, c, d)
+    slopeX = hc - hb
+    slopeZ = hc - hd
+    height = hc - slopeX * (1 - fx) - slopeZ * (1 - fz)
+  }
+
+  if (normalTarget) {
+    setNormal(normalTarget, -slopeX, step, -slopeZ)
+  }
+  return height
+}
+
+function setNormal(target, x, y, z) {
+  const length = Math.hypot(x, y, z)
+  target.x = x / length
+  target.y = y / length
+  target.z = z / length
+  return target
+}
+
+// Height/normal/raycast queries against the loaded chunk heightfields.
+// Where no chunk is loaded, falls back to sampling the generator (and the
+// imported heightmap, if any) directly. Chunks can also carry prop
+// colliders (vertical cylinders) for collide().
+export function createTerrainQuery({ seed, heightmap = null, chunkSize = CHUNK_SIZE }) {
+  const sampleTerrain = createTerrainSampler({ seed, heightmap })
+  const chunks = new Map() // key -> { originX, originZ, heights, segments, colliders }
+
+  const fallbackHeight = (x, z) => sampleTerrain(x, z).height - BASE_GROUND_OFFSET
+
+  const getChunkAt = (x, z) => {
+    const chunkX = Math.round(x / chunkSize)
+    const chunkZ = Math.round(z / chunkSize)
+    return chunks.get(`${chunkX},${chunkZ}`) || null
+  }
+
+  // colliders: flat [x, y, z, radius, height] per cylinder, y at its base
+  const setChunk = (key, chunkX, chunkZ, heights, segments, colliders = null) => {
+    chunks.set(key, {
+      originX: chunkX * chunkSize - chunkSize / 2,
+      originZ: chunkZ * chunkSize - chunkSize / 2,
+      heights,
+      segments,
+      colliders
+    })
+  }
+
+  const removeChunk = (key) => {
+    chunks.delete(key)
+  }
+
+  const heightAt = (x, z) => {
+    const chunk = getChunkAt(x, z)
+    if (!chunk) return fallbackHeight(x, z)
+    return sampleHeightfield(chunk.heights, chunk.segments, chunkSize, x - chunk.originX, z - chunk.originZ)
+  }
+
+  const normalAt = (x, z, target = { x: 0, y: 1, z: 0 }) => {
+    const chunk = getChunkAt(x, z)
+    if (chunk) {
+      sampleHeightfield(chunk.heights, chunk.segments, chunkSize, x - chunk.originX, z - chunk.originZ, target)
+      return target
+    }
+
+    const e = FALLBACK_NORMAL_EPSILON
+    const dx = fallbackHeight(x + e, z) - fallbackHeight(x - e, z)
+    const dz = fallbackHeight(x, z + e) - fallbackHeight(x, z - e)
+    return setNormal(target, -dx, 2 * e, -dz)
+  }
+
+  // First hit of a ray with the terrain surface, or null within maxDistance.
+  // Marches with steps scaled to the height above ground, then bisects.
+  const raycast = (origin, direction, maxDistance = 1000) => {
+    const length = Math.hypot(direction.x, direction.y, direction.z)
+    if (length === 0) return null
+    const dx = direction.x / length
+    const dy = direction.y / length
+    const dz = direction.z / length
+
+    const hitAt = (distance) => {
+      const x = origin.x + dx * distance
+      const z = origin.z + dz * distance
+      return {
+        distance,
+        point: { x, y: heightAt(x, z), z },
+        normal: normalAt(x, z)
+      }
+    }
+    const gapAt = (t) => origin.y + dy * t - heightAt(origin.x + dx * t, origin.z + dz * t)
+
+    let prevT = 0
+    let prevGap = gapAt(0)
+    if (prevGap <= 0) {
+      return hitAt(0)
+    }
+
+    let t = 0
+    while (t < maxDistance) {
+      t = Math.min(maxDistance, t + Math.min(RAY_MAX_STEP, Math.max(RAY_MIN_STEP, prevGap * 0.5)))
+      const gap = gapAt(t)
+      if (gap <= 0) {
+        let lo = prevT
+        let hi = t
+        for (let i = 0; i < RAY_REFINE_ITERATIONS; i++) {
+          const mid = (lo + hi) / 2
+          if (gapAt(mid) > 0) lo = mid
+          else hi = mid
+        }
+        return hitAt(hi)
+      }
+      prevT = t
+      prevGap = gap
+    }
+    return null
+  }
+
+  // Pushes a vertical capsule-ish body (circle of radius, from minY to maxY)
+  // out of any prop colliders it overlaps. Moves position.x/z in place and
+  // returns whether anything was hit.
+  const collide = (position, radius, minY, maxY) => {
+    const chunkX = Math.round(position.x / chunkSize)
+    const chunkZ = Math.round(position.z / chunkSize)
+    let hit = false
+    // Props near a chunk edge can reach into the neighbouring chunk
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const chunk = chunks.get(`${chunkX + dx},${chunkZ + dz}`)
+        if (!chunk || !chunk.colliders) continue
+        const colliders = chunk.colliders
+        for (let i = 0; i < colliders.length; i += 5) {
+          const y = colliders[i + 1]
+          if (maxY < y || minY > y + colliders[i + 4]) continue
+          const offsetX = position.x - colliders[i]
+          const offsetZ = position.z - colliders[i + 2]
+          const minDistance = colliders[i + 3] + radius
+          const distanceSq = offsetX * offsetX + offsetZ * offsetZ
+          if (distanceSq >= minDistance * minDistance) continue
+
+          const distance = Math.sqrt(distanceSq)
+          if (distance > 0) {
+            position.x = colliders[i] + (offsetX / distance) * minDistance
+            position.z = colliders[i + 2] + (offsetZ / distance) * minDistance
+          } else {
+            position.x = colliders[i] + minDistance
+          }
+          hit = true
+        }
+      }
+    }
+    return hit
+  }
+
+  return { setChunk, removeChunk, heightAt, normalAt, raycast, collide }
+}
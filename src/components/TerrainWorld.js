@@ -0,0 +1,505 @@
+import * as THREE from 'three'
+import { buildChunkData, CHUNK_FORMAT_VERSION, CHUNK_SIZE, CHUNK_SEGMENTS } from './ChunkBuilder.js'
+import { createWorkerPool } from './WorkerPool.js'
+import { WATER_LEVEL } from './Water.js'
+import { createTerrainQuery } from './TerrainQuery.js'
+import { createTerrainSampler } from './Heightmap.js'
+import { loadTile } from './TileFormat.js'
+import { createTerrainEdits, copyChunkForEdits, applyChunkEdits } from './TerrainEdits.js'
+import { createChunkCache, createChunkStore, DEFAULT_CHUNK_CACHE_BYTES } from './ChunkCache.js'
+import { createChunkScheduler, DEFAULT_STREAMING_BUDGET } from './ChunkScheduler.js'
+import {
+  createPlayerState,
+  stepPlayer,
+  DEFAULT_PLAYER_TUNING,
+  FIXED_TIMESTEP,
+  MAX_STEPS_PER_FRAME
+} from './PlayerPhysics.js'
+
+// Chunks load within this distance of the focus and stay until they're
+// past the unload distance, so pacing along the edge doesn't churn them
+const TERRAIN_LOAD_DISTANCE = 800
+const TERRAIN_UNLOAD_DISTANCE = 900
+// Chunk resolution by distance from the focus to the nearest point of the chunk
+const LOD_LEVELS = [
+  { distance: 150, segments: CHUNK_SEGMENTS },
+  { distance: 300, segments: CHUNK_SEGMENTS / 2 },
+  { distance: 500, segments: CHUNK_SEGMENTS / 4 },
+  { distance: Infinity, segments: CHUNK_SEGMENTS / 8 }
+]
+// Re-evaluate LODs after moving this far, even inside the same chunk
+const LOD_UPDATE_DISTANCE = 20
+// Ground this close to the focus streams first, wherever the camera looks
+const NEAR_STREAMING_DISTANCE = CHUNK_SIZE
+// Chunks outside the view wait as if they were this much further away (m)
+const OUT_OF_VIEW_PENALTY = 500
+// Height range a chunk is assumed to span when testing it against the view
+const VIEW_TEST_HEIGHT = [-200, 600]
+// Biomes blend over tens of metres, so there's no point sampling every step
+const BIOME_CHECK_DISTANCE = 2
+
+export const WORLD_EVENTS = ['chunkLoaded', 'chunkUnloaded', 'chunkEdited', 'biomeEntered', 'playerJumped', 'playerLanded', 'update']
+
+const getLodLevel = (distance) => LOD_LEVELS.findIndex((level) => distance <= level.distance)
+
+// Distance from (x, z) to the nearest point of a chunk
+const getChunkDistance = (x, z, chunkX, chunkZ) => {
+  const nearestX = Math.max(chunkX * CHUNK_SIZE - CHUNK_SIZE / 2, Math.min(x, chunkX * CHUNK_SIZE + CHUNK_SIZE / 2))
+  const nearestZ = Math.max(chunkZ * CHUNK_SIZE - CHUNK_SIZE / 2, Math.min(z, chunkZ * CHUNK_SIZE + CHUNK_SIZE / 2))
+  return Math.hypot(nearestX - x, nearestZ - z)
+}
+
+const getDefaultWorkerCount = () => (typeof Worker === 'undefined'
+  ? 0
+  : Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)))
+
+function createEmitter(names) {
+  const listeners = new Map(names.map((name) => [name, new Set()]))
+  const getListeners = (name) => {
+    if (!listeners.has(name)) throw new Error(`Unknown terrain world event "${name}"`)
+    return listeners.get(name)
+  }
+  const off = (name, fn) => getListeners(name).delete(fn)
+  const on = (name, fn) => {
+    getListeners(name).add(fn)
+    return () => off(name, fn)
+  }
+  const emit = (name, payload) => getListeners(name).forEach((fn) => fn(payload))
+  const clear = () => listeners.forEach((set) => set.clear())
+  return { on, off, emit, clear }
+}
+
+// Builds chunks on the calling thread, for hosts without module workers (Node, tests)
+const createInlineBuilder = (heightmap) => ({
+  run: (job) => Promise.resolve().then(() => (job.tileUrl ? loadTile(job.tileUrl) : buildChunkData({ ...job, heightmap }))),
+  dispose: () => {}
+})
+
+// The terrain engine without any UI framework: generation, chunk streaming
+// around a focus point (the player unless setFocus says otherwise), the fixed-step
+// player simulation and the per-frame tick. The host calls update(dt) every
+// frame and dispose() when done, and listens with on(event, fn):
+//   chunkLoaded    { key, chunkX, chunkZ, lod, data } (also on LOD swaps)
+//   chunkUnloaded  { key, chunkX, chunkZ }
+//   chunkEdited    { key, chunkX, chunkZ, lod, data }, after sculpt() changed
+//                  a loaded chunk's data in place
+//   biomeEntered   { biome, previous, position }
+//   playerJumped / playerLanded  { position }
+//   update         { dt, time, streaming }, after the simulation, e.g. to place
+//                  the camera; streaming is the chunk queue depth (see
+//                  createChunkScheduler)
+// The world draws nothing itself; see createChunkRenderer.
+export function createTerrainWorld({
+  seed,
+  waterLevel = WATER_LEVEL,
+  // Erosion settings (see DEFAULT_EROSION), or null to skip erosion
+  erosion = null,
+  // Imported heightmap (see parseHeightmap), or null for the generator alone
+  heightmap = null,
+  // Pre-baked tiles (see loadTileSource); chunks the set has are streamed instead of generated
+  tiles = null,
+  // Sculpted edits to start from, e.g. from a save (see getChunks in TerrainEdits.js)
+  edits: initialEdits = null,
+  // Chunk workers; 0 builds chunks inline
+  workerCount = getDefaultWorkerCount(),
+  // Memory for generated chunks kept after they unload (see createChunkCache)
+  cacheBytes = DEFAULT_CHUNK_CACHE_BYTES,
+  // Also keep generated chunks in IndexedDB across page loads
+  persistentCache = false,
+  // Main-thread time per frame for adding finished chunks (ms), see createChunkScheduler
+  streamingBudget = DEFAULT_STREAMING_BUDGET
+}) {
+  if (seed === undefined || seed === null) throw new Error('createTerrainWorld needs a seed')
+
+  const events = createEmitter(WORLD_EVENTS)
+  // Height/normal/ray queries against loaded chunks, shared by streaming and gameplay
+  const terrainQuery = createTerrainQuery({ seed, heightmap })
+  const sampleTerrain = createTerrainSampler({ seed, heightmap })
+  // Sculpted changes on top of the generated terrain, kept across chunk rebuilds
+  const edits = createTerrainEdits()
+  if (initialEdits) edits.load(initialEdits)
+
+  // Heightfields are generated in workers; the main thread only wraps the results
+  const pool = workerCount > 0
+    ? createWorkerPool(
+      () => new Worker(new URL('./ChunkWorker.js', import.meta.url), { type: 'module' }),
+      workerCount
+    )
+    : createInlineBuilder(heightmap)
+  if (heightmap && pool.broadcast) pool.broadcast({ heightmap })
+
+  // Cached by chunk and resolution
+  const cache = createChunkCache({ maxBytes: cacheBytes })
+  // An imported heightmap can't be told apart from another by its settings,
+  // so those worlds only cache in memory. The format version keeps chunks
+  // from an older generator out.
+  const store = persistentCache && !heightmap && typeof indexedDB !== 'undefined'
+    ? createChunkStore({
+      namespace: JSON.stringify({
+        version: CHUNK_FORMAT_VERSION,
+        seed,
+        waterLevel,
+        erosion,
+        tiles: tiles ? tiles.manifest : null
+      })
+    })
+    : null
+  const getCacheKey = (key, lod) => `${key}:${LOD_LEVELS[lod].segments}`
+
+  const chunks = new Map() // key -> { lod, data, base }, base being the generated data once edited
+  let wantedLods = new Map() // key -> LOD level it should have
+  let lastUpdatePosition = null
+  let focus = null
+  // Camera frustum from the host (see setView), to stream what's in view first
+  let view = null
+  const viewBox = new THREE.Box3()
+  let biome = null
+  let lastBiomePosition = null
+  let player = null
+  // The player waits while streaming follows something else, until its ground is back
+  let playerHeld = false
+  let time = 0
+  let disposed = false
+
+  const removeChunk = (key) => {
+    const chunk = chunks.get(key)
+    if (!chunk) return
+    chunks.delete(key)
+    // Just left, so likely to be wanted again soon
+    cache.get(getCacheKey(key, chunk.lod))
+    terrainQuery.removeChunk(key)
+    events.emit('chunkUnloaded', { key, chunkX: chunk.data.chunkX, chunkZ: chunk.data.chunkZ })
+  }
+
+  // Generated data stays as it is (it's cached); edits go onto a copy
+  const applyEdits = (key, chunk) => {
+    if (!chunk.base) {
+      chunk.base = chunk.data
+      chunk.data = copyChunkForEdits(chunk.data)
+    }
+    applyChunkEdits(chunk.data, chunk.base, edits)
+    const { data } = chunk
+    terrainQuery.setChunk(key, data.chunkX, data.chunkZ, data.heights, data.segments, data.colliders)
+  }
+
+  // A new LOD replaces the old one in place, without an unload in between
+  const addChunk = (key, lod, data) => {
+    const chunk = { lod, data, base: null }
+    chunks.set(key, chunk)
+    if (edits.hasEditsNear(data.chunkX, data.chunkZ)) applyEdits(key, chunk)
+    else terrainQuery.setChunk(key, data.chunkX, data.chunkZ, data.heights, data.segments, data.colliders)
+    events.emit('chunkLoaded', { key, chunkX: data.chunkX, chunkZ: data.chunkZ, lod, data: chunk.data })
+  }
+
+  const isInView = (chunkX, chunkZ) => {
+    viewBox.min.set(chunkX * CHUNK_SIZE - CHUNK_SIZE / 2, VIEW_TEST_HEIGHT[0], chunkZ * CHUNK_SIZE - CHUNK_SIZE / 2)
+    viewBox.max.set(chunkX * CHUNK_SIZE + CHUNK_SIZE / 2, VIEW_TEST_HEIGHT[1], chunkZ * CHUNK_SIZE + CHUNK_SIZE / 2)
+    return view.intersectsBox(viewBox)
+  }
+
+  // Nearby ground first, then what the camera sees, then the rest, each nearest first
+  const getStreamingPriority = ({ chunkX, chunkZ }) => {
+    const position = getFocus()
+    if (!position) return 0
+    const distance = getChunkDistance(position.x, position.z, chunkX, chunkZ)
+    if (distance <= NEAR_STREAMING_DISTANCE || !view || isInView(chunkX, chunkZ)) return distance
+    return distance + OUT_OF_VIEW_PENALTY
+  }
+
+  const scheduler = createChunkScheduler({
+    getPriority: getStreamingPriority,
+    // Builds the focus has moved away from are pruned before they get here
+    onReady: (key, { lod }, data) => addChunk(key, lod, data),
+    // One job queued behind each busy worker keeps them all fed
+    maxInFlight: Math.max(1, workerCount) * 2,
+    budget: streamingBudget
+  })
+
+  const createChunk = (chunkX, chunkZ, lod) => {
+    const key = `${chunkX},${chunkZ}`
+    const existing = chunks.get(key)
+    if (existing && existing.lod === lod) {
+      scheduler.cancel(key)
+      return
+    }
+    if (scheduler.has(key, lod)) return
+
+    const cacheKey = getCacheKey(key, lod)
+    const cached = cache.get(cacheKey)
+    if (cached) {
+      scheduler.request(key, { chunkX, chunkZ, lod, data: cached })
+      return
+    }
+
+    const segments = LOD_LEVELS[lod].segments
+    const tileUrl = tiles ? tiles.getTileUrl(chunkX, chunkZ, segments) : null
+    const build = () => pool.run(tileUrl ? { tileUrl } : {
+      chunkX,
+      chunkZ,
+      seed,
+      waterLevel,
+      segments,
+      // Every LOD samples the same eroded tiles, so neighbours line up whatever their resolution
+      erosion
+    }).then((data) => {
+      if (store && !disposed) store.set(cacheKey, data).catch((error) => console.error(`Error storing chunk ${key}:`, error))
+      return data
+    })
+    const run = () => (store ? store.get(cacheKey).catch(() => null) : Promise.resolve(null))
+      .then((data) => data || build())
+      .then((data) => {
+        // Cached even if it's no longer wanted, so the work isn't wasted
+        if (!disposed) cache.set(cacheKey, data)
+        return data
+      })
+    scheduler.request(key, { chunkX, chunkZ, lod, run })
+  }
+
+  const updateChunks = (position) => {
+    const px = position.x
+    const pz = position.z
+    if (lastUpdatePosition && Math.hypot(px - lastUpdatePosition.x, pz - lastUpdatePosition.z) < LOD_UPDATE_DISTANCE) {
+      return
+    }
+    lastUpdatePosition = { x: px, z: pz }
+
+    // Chunks are centred on multiples of CHUNK_SIZE
+    const chunkX = Math.round(px / CHUNK_SIZE)
+    const chunkZ = Math.round(pz / CHUNK_SIZE)
+    const radius = Math.ceil(TERRAIN_UNLOAD_DISTANCE / CHUNK_SIZE)
+    const nextLods = new Map()
+    const candidates = []
+
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        const cx = chunkX + dx
+        const cz = chunkZ + dz
+        const key = `${cx},${cz}`
+        // Distance to the nearest point of the chunk, so the loaded area is round
+        const distance = getChunkDistance(px, pz, cx, cz)
+        if (distance > TERRAIN_UNLOAD_DISTANCE) continue
+        // Between the two distances, chunks already there (or on their way) stay, but nothing new loads
+        if (distance > TERRAIN_LOAD_DISTANCE && !chunks.has(key) && !scheduler.has(key)) continue
+        const lod = getLodLevel(distance)
+        nextLods.set(key, lod)
+        candidates.push({ cx, cz, lod })
+      }
+    }
+    wantedLods = nextLods
+
+    // The scheduler decides the order; jobs for chunks or LODs no longer wanted are dropped
+    candidates.forEach(({ cx, cz, lod }) => createChunk(cx, cz, lod))
+    scheduler.prune((key, job) => wantedLods.get(key) === job.lod)
+
+    for (const key of [...chunks.keys()]) {
+      if (!nextLods.has(key)) removeChunk(key)
+    }
+  }
+
+  const updateBiome = (position) => {
+    if (lastBiomePosition && Math.hypot(position.x - lastBiomePosition.x, position.z - lastBiomePosition.z) < BIOME_CHECK_DISTANCE) {
+      return
+    }
+    lastBiomePosition = { x: position.x, z: position.z }
+    const next = sampleTerrain(position.x, position.z).biome
+    if (next === biome) return
+    const previous = biome
+    biome = next
+    events.emit('biomeEntered', { biome, previous, position: { ...lastBiomePosition } })
+  }
+
+  // Where chunks stream around instead of the player, e.g. a free camera or a
+  // server; null streams around the player again. The player's simulation
+  // pauses meanwhile, since its chunks may unload, and resumes once the
+  // chunk it stands in has loaded again.
+  const setFocus = (position) => {
+    focus = position ? { x: position.x, z: position.z } : null
+    if (focus) playerHeld = true
+  }
+
+  const isPlayerGroundLoaded = () => {
+    const { x, z } = player.state.position
+    return chunks.has(`${Math.round(x / CHUNK_SIZE)},${Math.round(z / CHUNK_SIZE)}`)
+  }
+
+  const getFocus = () => focus || (player ? player.state.position : null)
+
+  // The camera's THREE.Frustum, or null; chunks it sees stream in before the rest
+  const setView = (frustum) => {
+    view = frustum
+  }
+
+  // Streaming queue depth, see createChunkScheduler
+  const getStreamingStats = () => scheduler.getStats()
+
+  // Ground source for the player simulation: loaded chunks, or the generator where none is loaded yet
+  const playerTerrain = {
+    heightAt: (x, z) => terrainQuery.heightAt(x, z),
+    normalAt: (x, z, target) => terrainQuery.normalAt(x, z, target),
+    collide: (position, radius, minY, maxY) => terrainQuery.collide(position, radius, minY, maxY),
+    waterLevel
+  }
+
+  // Creates (or moves) the player, standing on the ground or floating at the
+  // water surface. A saved state (see createPlayerState) and look direction
+  // put it back exactly where it was instead. Returns a handle for input,
+  // tuning, the look direction and the drawn position.
+  const spawnPlayer = ({ x = 0, z = 0, tuning = {}, state: savedState = null, look: savedLook = null } = {}) => {
+    const playerTuning = { ...DEFAULT_PLAYER_TUNING, ...(player ? player.tuning : {}), ...tuning }
+    // Never start under water; the player drops in and floats up instead
+    const y = Math.max(terrainQuery.heightAt(x, z), waterLevel) + playerTuning.eyeHeight
+    const state = createPlayerState(x, y, z)
+    if (savedState) {
+      Object.assign(state, savedState, {
+        position: { ...savedState.position },
+        previousPosition: { ...savedState.position },
+        slideVelocity: { ...state.slideVelocity, ...savedState.slideVelocity },
+        jumpLock: false
+      })
+    }
+    // yaw turns about y (0 looks down -z), pitch looks up and down; radians
+    const look = { yaw: 0, pitch: 0, ...savedLook }
+    const input = { moveX: 0, moveZ: 0, yaw: look.yaw, sprint: false, jump: false }
+    let accumulator = 0
+
+    const step = (dt) => {
+      accumulator += dt
+      let steps = 0
+      while (accumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+        const stepEvents = stepPlayer(state, input, playerTerrain, FIXED_TIMESTEP, handle.tuning)
+        accumulator -= FIXED_TIMESTEP
+        steps++
+        if (stepEvents.jumped) events.emit('playerJumped', { position: state.position })
+        if (stepEvents.landed) events.emit('playerLanded', { position: state.position })
+      }
+      if (steps === MAX_STEPS_PER_FRAME) accumulator = Math.min(accumulator, FIXED_TIMESTEP)
+    }
+
+    // input: { moveX, moveZ, yaw, sprint, jump }, see stepPlayer; missing fields keep their value
+    const setInput = (next) => {
+      Object.assign(input, next)
+      look.yaw = input.yaw
+      // Jumping again needs the key released first
+      if (!input.jump) state.jumpLock = false
+    }
+
+    const setTuning = (next) => {
+      handle.tuning = { ...handle.tuning, ...next }
+    }
+
+    // Movement follows the yaw
+    const setLook = (next) => {
+      Object.assign(look, next)
+      input.yaw = look.yaw
+    }
+
+    // Position between the last two simulated steps, for drawing
+    const getPosition = (target = new THREE.Vector3()) => {
+      const alpha = accumulator / FIXED_TIMESTEP
+      const prev = state.previousPosition
+      const curr = state.position
+      return target.set(
+        prev.x + (curr.x - prev.x) * alpha,
+        prev.y + (curr.y - prev.y) * alpha,
+        prev.z + (curr.z - prev.z) * alpha
+      )
+    }
+
+    const handle = { state, input, look, tuning: playerTuning, step, setInput, setTuning, setLook, getPosition }
+    player = handle
+    return handle
+  }
+
+  // Applies one brush dab (see applyBrush in TerrainEdits.js for the tools)
+  // and rebuilds the loaded chunks it reaches. Collision queries get the new
+  // heights and colliders straight away, so the player stands on the new
+  // ground at once. Returns whether anything changed.
+  const sculpt = (brush) => {
+    const bounds = edits.applyBrush(brush, terrainQuery.heightAt)
+    if (!bounds) return false
+    for (const [key, chunk] of chunks) {
+      const { chunkX, chunkZ, segments } = chunk.data
+      // Normals one vertex outside the dab change too
+      const margin = CHUNK_SIZE / segments
+      const half = CHUNK_SIZE / 2
+      if (chunkX * CHUNK_SIZE + half < bounds.minX - margin || chunkX * CHUNK_SIZE - half > bounds.maxX + margin ||
+        chunkZ * CHUNK_SIZE + half < bounds.minZ - margin || chunkZ * CHUNK_SIZE - half > bounds.maxZ + margin) {
+        continue
+      }
+      applyEdits(key, chunk)
+      events.emit('chunkEdited', { key, chunkX, chunkZ, lod: chunk.lod, data: chunk.data })
+    }
+    return true
+  }
+
+  // Replaces every edit (see getChunks in TerrainEdits.js), e.g. from a save,
+  // and rebuilds the loaded chunks that had or now have edits
+  const loadEdits = (list) => {
+    edits.load(list)
+    for (const [key, chunk] of chunks) {
+      const { chunkX, chunkZ } = chunk.data
+      if (!chunk.base && !edits.hasEditsNear(chunkX, chunkZ)) continue
+      applyEdits(key, chunk)
+      events.emit('chunkEdited', { key, chunkX, chunkZ, lod: chunk.lod, data: chunk.data })
+    }
+  }
+
+  const update = (dt) => {
+    if (disposed) return
+    time += dt
+    if (player && playerHeld && !focus && isPlayerGroundLoaded()) playerHeld = false
+    if (player && !playerHeld) player.step(dt)
+
+    const position = getFocus()
+    if (position) {
+      updateChunks(position)
+      updateBiome(position)
+    }
+    scheduler.update()
+    events.emit('update', { dt, time, streaming: scheduler.getStats() })
+  }
+
+  const getLoadedChunks = () => [...chunks.values()].map((chunk) => chunk.data)
+
+  const dispose = () => {
+    if (disposed) return
+    disposed = true
+    scheduler.dispose()
+    pool.dispose()
+    if (store) store.dispose()
+    cache.clear()
+    for (const key of [...chunks.keys()]) removeChunk(key)
+    events.clear()
+    player = null
+  }
+
+  return {
+    seed,
+    waterLevel,
+    terrainQuery,
+    edits,
+    on: events.on,
+    off: events.off,
+    setFocus,
+    getFocus,
+    setView,
+    getStreamingStats,
+    spawnPlayer,
+    sculpt,
+    loadEdits,
+    get player() { return player },
+    get biome() { return biome },
+    getLoadedChunks,
+    update,
+    dispose
+  }
+}
+
+// The same world as a class, for hosts that would rather write
+// `new TerrainWorld(options)` and check `instanceof`: it has exactly the
+// API createTerrainWorld returns, getters included.
+export class TerrainWorld {
+  constructor(options) {
+    Object.defineProperties(this, Object.getOwnPropertyDescriptors(createTerrainWorld(options)))
+  }
+}
@@ -0,0 +1,165 @@
+import { assembleChunkData, EROSION_MASK_SIZE } from './ChunkBuilder.js'
+import { TERRAIN_LAYERS } from './Terrain.js'
+
+// Pre-baked chunk tiles, written by bin/terrain-gen.js and streamed by
+// the terrain world instead of generating. A tile holds the chunk grid only
+// (mesh positions, uvs, index and skirt are rebuilt on load):
+//   "TTIL", u32 version, u32 header length, JSON header, sections
+// Each section starts 4-byte aligned; the header lists them by name with
+// their type and length. Heights, props, colliders and rivers stay Float32
+// so neighbouring tiles meet exactly; normals and surface weights are
+// quantised to bytes. Multi-byte values are little-endian.
+export const TILE_FORMAT_VERSION = 1
+export const TILE_MANIFEST_FILE = 'manifest.json'
+const TILE_MAGIC = 'TTIL'
+
+const ARRAY_TYPES = { f32: Float32Array, u8: Uint8Array, i8: Int8Array }
+
+// Where a tile lives relative to the manifest
+export const getTilePath = (segments, chunkX, chunkZ) => `${segments}/${chunkX}_${chunkZ}.bin`
+
+const quantize = (values, count, Type, scale) => {
+  const out = new Type(count)
+  for (let i = 0; i < count; i++) out[i] = Math.round(values[i] * scale)
+  return out
+}
+
+export function encodeTile(chunk) {
+  const gridVertexCount = (chunk.segments + 1) * (chunk.segments + 1)
+  const sections = []
+  const add = (name, type, array) => sections.push({ name, type, array })
+
+  add('heights', 'f32', chunk.heights)
+  add('normals', 'i8', quantize(chunk.normals, gridVertexCount * 3, Int8Array, 127))
+  add('splat', 'u8', quantize(chunk.splat, gridVertexCount * TERRAIN_LAYERS.length, Uint8Array, 255))
+  add('colors', 'u8', quantize(chunk.colors, gridVertexCount * 3, Uint8Array, 255))
+  add('erosion', 'u8', quantize(chunk.erosion, gridVertexCount * EROSION_MASK_SIZE, Uint8Array, 255))
+  add('colliders', 'f32', chunk.colliders)
+  Object.entries(chunk.props).forEach(([ruleId, instances]) => add(`props:${ruleId}`, 'f32', instances))
+  chunk.rivers.forEach((piece, i) => add(`river:${i}:${piece.from}:${piece.to}`, 'f32', piece.points))
+
+  const header = new TextEncoder().encode(JSON.stringify({
+    chunkX: chunk.chunkX,
+    chunkZ: chunk.chunkZ,
+    segments: chunk.segments,
+    sections: sections.map(({ name, type, array }) => ({ name, type, length: array.length }))
+  }))
+  const align = (n) => Math.ceil(n / 4) * 4
+  const headerEnd = align(12 + header.length)
+  const size = sections.reduce((end, { array }) => end + align(array.byteLength), headerEnd)
+
+  const bytes = new Uint8Array(size)
+  const view = new DataView(bytes.buffer)
+  bytes.set(new TextEncoder().encode(TILE_MAGIC))
+  view.setUint32(4, TILE_FORMAT_VERSION, true)
+  view.setUint32(8, header.length, true)
+  bytes.set(header, 12)
+  let offset = headerEnd
+  for (const { array } of sections) {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset)
+    offset += align(array.byteLength)
+  }
+  return bytes
+}
+
+// Full chunk data (as buildChunkData returns) from a tile's bytes
+export function decodeTile(buffer, { skirt = true } = {}) {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  if (new TextDecoder().decode(bytes.subarray(0, 4)) !== TILE_MAGIC) throw new Error('Not a terrain tile')
+  const version = view.getUint32(4, true)
+  if (version !== TILE_FORMAT_VERSION) throw new Error(`Unsupported terrain tile version ${version}`)
+  const headerLength = view.getUint32(8, true)
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)))
+
+  const sections = {}
+  let offset = Math.ceil((12 + headerLength) / 4) * 4
+  for (const { name, type, length } of header.sections) {
+    const Type = ARRAY_TYPES[type]
+    const byteLength = length * Type.BYTES_PER_ELEMENT
+    // Copy out so every array owns a transferable buffer
+    sections[name] = new Type(bytes.slice(offset, offset + byteLength).buffer)
+    offset += Math.ceil(byteLength / 4) * 4
+  }
+
+  const normals = new Float32Array(sections.normals.length)
+  for (let i = 0; i < normals.length; i += 3) {
+    const x = sections.normals[i]
+    const y = sections.normals[i + 1]
+    const z = sections.normals[i + 2]
+    const length = Math.hypot(x, y, z) || 1
+    normals[i] = x / length
+    normals[i + 1] = y / length
+    normals[i + 2] = z / length
+  }
+  const toUnit = (values) => Float32Array.from(values, (value) => value / 255)
+
+  const props = {}
+  const rivers = []
+  for (const name of Object.keys(sections)) {
+    const [kind, id, from, to] = name.split(':')
+    if (kind === 'props') props[id] = sections[name]
+    else if (kind === 'river') rivers.push({ points: sections[name], from: Number(from), to: Number(to) })
+  }
+
+  return assembleChunkData({
+    chunkX: header.chunkX,
+    chunkZ: header.chunkZ,
+    segments: header.segments,
+    skirt,
+    heights: sections.heights,
+    normals,
+    splat: toUnit(sections.splat),
+    colors: toUnit(sections.colors),
+    erosion: toUnit(sections.erosion),
+    props,
+    colliders: sections.colliders,
+    rivers
+  })
+}
+
+// Fetches and expands one tile, as ChunkWorker does for jobs with a tileUrl
+export async function loadTile(url) {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Failed to load tile ${url}: ${response.status}`)
+  return decodeTile(await response.arrayBuffer())
+}
+
+// Index of a baked tile set: the settings it was generated with, the LODs
+// (segments) baked and the chunks covered, as "x,z" keys
+export function createTileManifest({ seed, waterLevel, erosion, rivers, scatter, heightmap = null, lods, chunks }) {
+  return {
+    format: 'terrain-tiles',
+    version: TILE_FORMAT_VERSION,
+    seed,
+    waterLevel,
+    erosion,
+    rivers,
+    scatter,
+    heightmap,
+    lods,
+    chunks
+  }
+}
+
+// Fetches a manifest and returns a tile source for the terrain world:
+// getTileUrl(chunkX, chunkZ, segments) is the tile's URL, or null when the
+// set doesn't have that chunk at that resolution.
+export async function loadTileSource(baseUrl) {
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`
+  const response = await fetch(`${base}${TILE_MANIFEST_FILE}`)
+  if (!response.ok) throw new Error(`Failed to load tile manifest from ${base}: ${response.status}`)
+  const manifest = await response.json()
+  if (manifest.format !== 'terrain-tiles' || manifest.version !== TILE_FORMAT_VERSION) {
+    throw new Error(`Unsupported tile manifest in ${base}`)
+  }
+
+  const chunks = new Set(manifest.chunks)
+  // Resolved against the page, so workers get absolute URLs
+  const root = new URL(base, globalThis.location ? globalThis.location.href : undefined)
+  const getTileUrl = (chunkX, chunkZ, segments) => {
+    if (!manifest.lods.includes(segments) || !chunks.has(`${chunkX},${chunkZ}`)) return null
+    return new URL(getTilePath(segments, chunkX, chunkZ), root).href
+  }
+  return { manifest, getTileUrl }
+}
@@ -0,0 +1,252 @@
+import * as THREE from 'three'
+import { CHUNK_SIZE } from './ChunkBuilder.js'
+import { sampleHeightfield } from './TerrainQuery.js'
+import { RIVER_POINT_STRIDE } from './Rivers.js'
+
+// Default sea level (m). Anything below it in any biome is under water.
+export const WATER_LEVEL = 0
+const WATER_SEGMENTS = 32
+// Water reaches its deep colour/opacity at this depth
+const WATER_DEEP_DEPTH = 8
+// Foam fades out over this depth from the shoreline
+const WATER_FOAM_DEPTH = 0.8
+const WATER_SHALLOW_COLOR = new THREE.Color(0x3f9fa6)
+const WATER_DEEP_COLOR = new THREE.Color(0x0b3a52)
+const WATER_FOAM_COLOR = new THREE.Color(0xf2f7f7)
+// River ribbons run this far past the channel edge so they meet the banks
+const RIVER_RIBBON_OVERLAP = 1.5
+// Scene fog while the camera is under the surface
+const UNDERWATER_FOG = { color: new THREE.Color(0x1d5a6b), near: 0.5, far: 30 }
+
+const vertexPars = /* glsl */ `
+attribute float waterDepth;
+varying float vWaterDepth;
+varying vec3 vWaterWorldPosition;
+`
+
+const vertexMain = /* glsl */ `
+vWaterDepth = waterDepth;
+vWaterWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+`
+
+const fragmentPars = /* glsl */ `
+uniform float uTime;
+uniform vec3 uShallowColor;
+uniform vec3 uDeepColor;
+uniform vec3 uFoamColor;
+uniform float uDeepDepth;
+uniform float uFoamDepth;
+varying float vWaterDepth;
+varying vec3 vWaterWorldPosition;
+
+// A few crossing sine waves: enough to break up reflections
+vec2 getWaveSlope(vec2 p) {
+  vec2 slope = vec2(0.0);
+  slope += vec2(0.8, 0.6) * cos(dot(p, vec2(0.8, 0.6)) * 0.9 + uTime * 1.3) * 0.05;
+  slope += vec2(-0.5, 0.9) * cos(dot(p, vec2(-0.5, 0.9)) * 1.7 + uTime * 1.9) * 0.03;
+  slope += vec2(0.2, -1.0) * cos(dot(p, vec2(0.2, -1.0)) * 3.1 + uTime * 2.6) * 0.015;
+  return slope;
+}
+`
+
+// Depth tint, transparency and shoreline foam
+const fragmentColor = /* glsl */ `
+#include <color_fragment>
+float waterDeep = smoothstep(0.0, uDeepDepth, vWaterDepth);
+diffuseColor.rgb = mix(uShallowColor, uDeepColor, waterDeep);
+diffuseColor.a = mix(0.35, 0.9, waterDeep);
+float shore = 1.0 - smoothstep(0.0, uFoamDepth, vWaterDepth);
+float foamBands = 0.5 + 0.5 * sin(vWaterDepth * 14.0 - uTime * 2.0 + sin(vWaterWorldPosition.x * 0.7) + cos(vWaterWorldPosition.z * 0.6));
+float waterFoam = shore * smoothstep(0.35, 0.75, foamBands + shore * 0.5);
+diffuseColor.rgb = mix(diffuseColor.rgb, uFoamColor, waterFoam);
+diffuseColor.a = max(diffuseColor.a, waterFoam);
+`
+
+const fragmentRoughness = /* glsl */ `
+#include <roughnessmap_fragment>
+roughnessFactor = mix(roughnessFactor, 0.8, waterFoam);
+`
+
+const fragmentNormal = /* glsl */ `
+#include <normal_fragment_maps>
+vec2 waveSlope = getWaveSlope(vWaterWorldPosition.xz);
+normal = normalize(mat3(viewMatrix) * normalize(vec3(-waveSlope.x, 1.0, -waveSlope.y))) * faceDirection;
+`
+
+// Water surface shared by the sea and the river ribbons. A
+// MeshStandardMaterial so reflections come from scene.environment with the
+// usual Fresnel falloff; the depth attribute drives tint and foam.
+function createWaterMaterial() {
+  const uniforms = {
+    uTime: { value: 0 },
+    uShallowColor: { value: WATER_SHALLOW_COLOR },
+    uDeepColor: { value: WATER_DEEP_COLOR },
+    uFoamColor: { value: WATER_FOAM_COLOR },
+    uDeepDepth: { value: WATER_DEEP_DEPTH },
+    uFoamDepth: { value: WATER_FOAM_DEPTH }
+  }
+
+  const material = new THREE.MeshStandardMaterial({
+    roughness: 0.04,
+    metalness: 0,
+    transparent: true,
+    side: THREE.DoubleSide
+  })
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms)
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${vertexPars}`)
+      .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>\n${vertexMain}`)
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${fragmentPars}`)
+      .replace('#include <color_fragment>', fragmentColor)
+      .replace('#include <roughnessmap_fragment>', fragmentRoughness)
+      .replace('#include <normal_fragment_maps>', fragmentNormal)
+  }
+
+  return { material, uniforms }
+}
+
+// Swaps the scene fog (and background) for murky water while the camera is
+// below the surface, and puts the original back when it comes up.
+function createUnderwaterFog(scene) {
+  let saved = null
+
+  const setUnderwater = (underwater) => {
+    if (underwater === (saved !== null)) return
+    if (underwater) {
+      saved = { fog: scene.fog, background: scene.background }
+      scene.fog = new THREE.Fog(UNDERWATER_FOG.color, UNDERWATER_FOG.near, UNDERWATER_FOG.far)
+      scene.background = UNDERWATER_FOG.color
+    } else {
+      scene.fog = saved.fog
+      scene.background = saved.background
+      saved = null
+    }
+  }
+
+  return { setUnderwater }
+}
+
+// Water ribbons along river polylines: three vertices across (bank, middle,
+// bank) so the depth attribute gives foam along the edges. Points are in
+// world space; tangents use the neighbouring points so pieces from
+// neighbouring chunks meet exactly.
+function createRiverGeometry(pieces) {
+  const positions = []
+  const depths = []
+  const indices = []
+  for (const { points, from, to } of pieces) {
+    const count = points.length / RIVER_POINT_STRIDE
+    const base = positions.length / 3
+    for (let i = from; i <= to; i++) {
+      const prev = Math.max(0, i - 1) * RIVER_POINT_STRIDE
+      const next = Math.min(count - 1, i + 1) * RIVER_POINT_STRIDE
+      const tangentX = points[next] - points[prev]
+      const tangentZ = points[next + 2] - points[prev + 2]
+      const length = Math.hypot(tangentX, tangentZ) || 1
+      const o = i * RIVER_POINT_STRIDE
+      const x = points[o]
+      const y = points[o + 1]
+      const z = points[o + 2]
+      const halfWidth = points[o + 3] / 2 + (points[o + 3] > 0 ? RIVER_RIBBON_OVERLAP : 0)
+      const sideX = (-tangentZ / length) * halfWidth
+      const sideZ = (tangentX / length) * halfWidth
+      positions.push(x - sideX, y, z - sideZ, x, y, z, x + sideX, y, z + sideZ)
+      depths.push(0, points[o + 4], 0)
+    }
+    for (let k = 0; k < to - from; k++) {
+      const a = base + k * 3
+      const b = a + 3
+      indices.push(a, b, a + 1, a + 1, b, b + 1, a + 1, b + 1, a + 2, a + 2, b + 1, b + 2)
+    }
+  }
+  if (indices.length === 0) return null
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+  geometry.setAttribute('waterDepth', new THREE.Float32BufferAttribute(depths, 1))
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(positions.map((_, i) => (i % 3 === 1 ? 1 : 0)), 3))
+  geometry.setIndex(indices)
+  return geometry
+}
+
+// Per-chunk water surfaces at a fixed level, river ribbons, and underwater fog.
+export function createWaterSystem({ scene, waterLevel = WATER_LEVEL, chunkSize = CHUNK_SIZE }) {
+  const { material, uniforms } = createWaterMaterial()
+  const underwaterFog = createUnderwaterFog(scene)
+
+  const group = new THREE.Group()
+  group.name = 'water'
+  scene.add(group)
+
+  const chunks = new Map() // key -> meshes
+
+  const removeChunk = (key) => {
+    const meshes = chunks.get(key)
+    if (!meshes) return
+    meshes.forEach((mesh) => {
+      group.remove(mesh)
+      mesh.geometry.dispose()
+    })
+    chunks.delete(key)
+  }
+
+  const addMesh = (key, geometry, name) => {
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.receiveShadow = true
+    mesh.name = name
+    group.add(mesh)
+    if (!chunks.has(key)) chunks.set(key, [])
+    chunks.get(key).push(mesh)
+    return mesh
+  }
+
+  const setChunk = (key, data) => {
+    removeChunk(key)
+    if (data.rivers && data.rivers.length > 0) {
+      const geometry = createRiverGeometry(data.rivers)
+      if (geometry) addMesh(key, geometry, `river_${key}`)
+    }
+    setSeaSurface(key, data)
+  }
+
+  // Only chunks whose ground dips below the water level get a surface
+  const setSeaSurface = (key, data) => {
+    const { chunkX, chunkZ, heights, segments } = data
+    let minHeight = Infinity
+    for (let i = 0; i < heights.length; i++) minHeight = Math.min(minHeight, heights[i])
+    if (minHeight >= waterLevel) return
+
+    const geometry = new THREE.PlaneGeometry(chunkSize, chunkSize, WATER_SEGMENTS, WATER_SEGMENTS)
+    geometry.rotateX(-Math.PI / 2)
+    const position = geometry.attributes.position
+    const depth = new Float32Array(position.count)
+    for (let i = 0; i < position.count; i++) {
+      const ground = sampleHeightfield(heights, segments, chunkSize, position.getX(i) + chunkSize / 2, position.getZ(i) + chunkSize / 2)
+      // Negative where the ground is above water, so foam fades out cleanly on the shore
+      depth[i] = waterLevel - ground
+    }
+    geometry.setAttribute('waterDepth', new THREE.BufferAttribute(depth, 1))
+
+    const mesh = addMesh(key, geometry, `water_${key}`)
+    mesh.position.set(chunkX * chunkSize, waterLevel, chunkZ * chunkSize)
+  }
+
+  const update = (camera, time) => {
+    uniforms.uTime.value = time
+    underwaterFog.setUnderwater(camera.position.y < waterLevel)
+  }
+
+  const dispose = () => {
+    underwaterFog.setUnderwater(false)
+    for (const key of [...chunks.keys()]) removeChunk(key)
+    scene.remove(group)
+    material.dispose()
+  }
+
+  return { setChunk, removeChunk, update, dispose }
+}
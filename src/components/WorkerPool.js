@@ -0,0 +1,71 @@
+// Fixed-size pool of workers speaking a { id, job } -> { id, result | error } protocol.
+// Jobs queue up in submission order until a worker is free.
+// broadcast() sends every worker a { broadcast } message (e.g. shared data
+// later jobs need), ahead of any job posted after it.
+export function createWorkerPool(createWorker, size) {
+  const workers = []
+  const idle = []
+  const queue = []
+  const running = new Map() // worker -> task
+  let nextId = 0
+  let disposed = false
+
+  const pump = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop()
+      const task = queue.shift()
+      running.set(worker, task)
+      worker.postMessage({ id: task.id, job: task.job }, task.transfer)
+    }
+  }
+
+  const finish = (worker, error, result) => {
+    const task = running.get(worker)
+    running.delete(worker)
+    if (!disposed) idle.push(worker)
+    if (task) {
+      if (error) task.reject(error)
+      else task.resolve(result)
+    }
+    pump()
+  }
+
+  for (let i = 0; i < Math.max(1, size); i++) {
+    const worker = createWorker()
+    worker.onmessage = (event) => {
+      const { error, result } = event.data
+      finish(worker, error ? new Error(error) : null, result)
+    }
+    worker.onerror = (event) => {
+      event.preventDefault()
+      finish(worker, new Error(event.message || 'Worker error'))
+    }
+    workers.push(worker)
+    idle.push(worker)
+  }
+
+  const run = (job, transfer = []) => {
+    if (disposed) return Promise.reject(new Error('Worker pool disposed'))
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, job, transfer, resolve, reject })
+      pump()
+    })
+  }
+
+  const broadcast = (message) => {
+    if (disposed) return
+    workers.forEach((worker) => worker.postMessage({ broadcast: message }))
+  }
+
+  const dispose = () => {
+    disposed = true
+    workers.forEach((worker) => worker.terminate())
+    const error = new Error('Worker pool disposed')
+    queue.splice(0).forEach((task) => task.reject(error))
+    running.forEach((task) => task.reject(error))
+    running.clear()
+    idle.length = 0
+  }
+
+  return { run, broadcast, dispose, get queued() { return queue.length } }
+}
@@ -0,0 +1,215 @@
+import { openDatabase, runInStore } from './IndexedDb.js'
+import { EDIT_SEGMENTS } from './TerrainEdits.js'
+import { TERRAIN_LAYERS } from './Terrain.js'
+
+// Saved worlds: the generator settings, the player and the sculpted edits,
+// as one JSON-friendly object:
+//   { format: 'terrain-save', version, savedAt,
+//     world: { seed, waterLevel, erosion, heightmap, tiles },
+//     player: { state, look } or null,
+//     edits: [{ chunkX, chunkZ, heights, paint }] }
+// heightmap is the options the heightmap was loaded with (see
+// loadHeightmap) and tiles the tile set's URL, so both load again on
+// restore. Edit grids are Float32 bytes in base64 (little-endian, as in
+// TileFormat.js). The last save is kept in IndexedDB as the autosave, and
+// saves can be downloaded and imported as files.
+export const SAVE_FORMAT = 'terrain-save'
+export const SAVE_VERSION = 1
+// World time between autosaves (s)
+export const AUTOSAVE_INTERVAL = 10
+
+const DB_NAME = 'terrain'
+const DB_STORE = 'saves'
+const AUTOSAVE_KEY = 'autosave'
+
+// Upgrades a save from each old version to the next one; add an entry with
+// every SAVE_VERSION bump. Versions without one are too old to load.
+const MIGRATIONS = {}
+
+// Values in one chunk's edit grids, see createTerrainEdits
+const EDIT_GRID_LENGTH = (EDIT_SEGMENTS + 1) * (EDIT_SEGMENTS + 1)
+
+// The parts of the player state worth keeping; the rest is per-step bookkeeping
+const PLAYER_STATE_FIELDS = ['verticalVelocity', 'isGrounded', 'isSwimming']
+
+const encodeFloats = (array) => {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+const decodeFloats = (text, length) => {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  if (bytes.length !== length * 4) throw new Error('Save has a corrupt edit grid')
+  return new Float32Array(bytes.buffer)
+}
+
+const isFiniteVector = (v, keys) => v && keys.every((key) => Number.isFinite(v[key]))
+
+// A save of the world as it is now. source is what the world was made from
+// that it doesn't keep itself: erosion settings, heightmap options and the
+// tile set URL.
+export function createSave(world, { erosion = null, heightmap = null, tiles = null } = {}) {
+  const { player } = world
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    world: { seed: world.seed, waterLevel: world.waterLevel, erosion, heightmap, tiles },
+    player: player
+      ? {
+        state: {
+          position: { ...player.state.position },
+          slideVelocity: { ...player.state.slideVelocity },
+          ...Object.fromEntries(PLAYER_STATE_FIELDS.map((field) => [field, player.state[field]]))
+        },
+        look: { yaw: player.look.yaw, pitch: player.look.pitch }
+      }
+      : null,
+    edits: world.edits.getChunks().map(({ chunkX, chunkZ, heights, paint }) => ({
+      chunkX,
+      chunkZ,
+      heights: encodeFloats(heights),
+      paint: paint ? encodeFloats(paint) : null
+    }))
+  }
+}
+
+// Checks a save (the object or its JSON), brings an older version up to
+// date and decodes it: edits come back as Float32Arrays, ready for
+// createTerrainWorld({ edits }), and the player as { state, look } for
+// spawnPlayer. Throws if it isn't a save, is corrupt, or can't be migrated.
+export function readSave(data) {
+  let save = typeof data === 'string' ? JSON.parse(data) : data
+  if (!save || save.format !== SAVE_FORMAT || !Number.isInteger(save.version)) {
+    throw new Error('Not a terrain save')
+  }
+  if (save.version > SAVE_VERSION) {
+    throw new Error(`Save version ${save.version} is newer than this build supports (${SAVE_VERSION})`)
+  }
+  while (save.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[save.version]
+    if (!migrate) throw new Error(`Save version ${save.version} is too old to load`)
+    save = migrate(save)
+  }
+
+  const { world, player, edits } = save
+  if (!world || !Number.isInteger(world.seed) || !Number.isFinite(world.waterLevel)) {
+    throw new Error('Save has no valid world settings')
+  }
+  if (player && (!player.state || !isFiniteVector(player.state.position, ['x', 'y', 'z']) ||
+    !isFiniteVector(player.look, ['yaw', 'pitch']))) {
+    throw new Error('Save has an invalid player')
+  }
+  if (!Array.isArray(edits)) throw new Error('Save has no edit list')
+
+  return {
+    savedAt: save.savedAt,
+    world: {
+      seed: world.seed,
+      waterLevel: world.waterLevel,
+      erosion: world.erosion || null,
+      heightmap: world.heightmap || null,
+      tiles: world.tiles || null
+    },
+    player: player
+      ? {
+        state: {
+          position: { ...player.state.position },
+          slideVelocity: isFiniteVector(player.state.slideVelocity, ['x', 'z']) ? { ...player.state.slideVelocity } : { x: 0, z: 0 },
+          ...Object.fromEntries(PLAYER_STATE_FIELDS
+            .filter((field) => player.state[field] !== undefined)
+            .map((field) => [field, player.state[field]]))
+        },
+        look: { yaw: player.look.yaw, pitch: player.look.pitch }
+      }
+      : null,
+    edits: edits.map(({ chunkX, chunkZ, heights, paint }) => {
+      if (!Number.isInteger(chunkX) || !Number.isInteger(chunkZ) || typeof heights !== 'string' ||
+        (paint && typeof paint !== 'string')) {
+        throw new Error('Save has a corrupt edit entry')
+      }
+      return {
+        chunkX,
+        chunkZ,
+        heights: decodeFloats(heights, EDIT_GRID_LENGTH),
+        paint: paint ? decodeFloats(paint, EDIT_GRID_LENGTH * TERRAIN_LAYERS.length) : null
+      }
+    })
+  }
+}
+
+// Opens the save database for one request
+const runInSaves = async (mode, makeRequest) => {
+  const db = await openDatabase(DB_NAME, [DB_STORE])
+  try {
+    return await runInStore(db, DB_STORE, mode, makeRequest)
+  } finally {
+    db.close()
+  }
+}
+
+export const writeAutosave = (save) => runInSaves('readwrite', (store) => store.put(save, AUTOSAVE_KEY))
+
+export const clearAutosave = () => runInSaves('readwrite', (store) => store.delete(AUTOSAVE_KEY))
+
+// The autosave, read (see readSave), or null if there isn't one
+export async function loadAutosave() {
+  const data = await runInSaves('readonly', (store) => store.get(AUTOSAVE_KEY))
+  return data ? readSave(data) : null
+}
+
+// A save as a downloadable file, { name, data, type } like exportTerrain's
+export const getSaveFile = (save) => ({
+  name: `terrain-${save.world.seed}.save.json`,
+  data: JSON.stringify(save),
+  type: 'application/json'
+})
+
+// Reads an imported save file (a File or Blob), see readSave
+export async function readSaveFile(file) {
+  return readSave(await file.text())
+}
+
+// Autosaves the world every interval seconds of world time, starting on its
+// first tick, and when the page is hidden or closed. getSave() makes the
+// save to write, see createSave.
+export function createAutosaver({ world, getSave, interval = AUTOSAVE_INTERVAL }) {
+  let elapsed = interval
+  let saving = false
+
+  const save = () => {
+    if (saving) return
+    saving = true
+    elapsed = 0
+    writeAutosave(getSave())
+      .catch((error) => console.error('Autosave failed:', error))
+      .finally(() => {
+        saving = false
+      })
+  }
+
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') save()
+  }
+
+  const unsubscribe = world.on('update', ({ dt }) => {
+    elapsed += dt
+    if (elapsed >= interval) save()
+  })
+  document.addEventListener('visibilitychange', onVisibilityChange)
+  window.addEventListener('pagehide', save)
+
+  const dispose = () => {
+    unsubscribe()
+    document.removeEventListener('visibilitychange', onVisibilityChange)
+    window.removeEventListener('pagehide', save)
+  }
+
+  return { save, dispose }
+}
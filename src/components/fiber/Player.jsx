@@ -0,0 +1,73 @@
+import { useEffect, useRef } from 'react'
+import { useThree } from '@react-three/fiber'
+import { createCameraControls } from '../CameraControls.js'
+import { DEFAULT_PLAYER_TUNING } from '../PlayerPhysics.js'
+import { useTerrainWorld } from './TerrainContext.js'
+
+// The player on the surrounding <Terrain>, seen through the default camera:
+// WASD/arrows, Space to jump, R to sprint, click for mouse look, and V to
+// switch between first person, third person, free fly and an orbit
+// overview (see createCameraControls)
+export default function Player({
+  // Camera mode to start in, one of CAMERA_MODES
+  mode = 'firstPerson',
+  // Called with the camera mode whenever it changes
+  onModeChange,
+  // Where the player drops in, as [x, z]
+  spawn = [0, 0],
+  // Saved { state, look } to carry on from instead of spawning (see WorldSave.js)
+  restore = null,
+  onSprintStateChange,
+  // Slope tuning, see DEFAULT_PLAYER_TUNING
+  maxSlopeAngle = DEFAULT_PLAYER_TUNING.maxSlopeAngle,
+  stepHeight = DEFAULT_PLAYER_TUNING.stepHeight,
+  uphillSpeedFactor = DEFAULT_PLAYER_TUNING.uphillSpeedFactor,
+  downhillSpeedFactor = DEFAULT_PLAYER_TUNING.downhillSpeedFactor,
+  slideFriction = DEFAULT_PLAYER_TUNING.slideFriction
+}) {
+  const world = useTerrainWorld()
+  const camera = useThree((state) => state.camera)
+  const scene = useThree((state) => state.scene)
+  const domElement = useThree((state) => state.gl.domElement)
+  const controlsRef = useRef(null)
+  const [spawnX, spawnZ] = spawn
+
+  // Kept in a ref so tweaking tuning props doesn't respawn the player
+  const tuningRef = useRef(null)
+  tuningRef.current = { maxSlopeAngle, stepHeight, uphillSpeedFactor, downhillSpeedFactor, slideFriction }
+  useEffect(() => {
+    if (controlsRef.current) controlsRef.current.setTuning(tuningRef.current)
+  }, [maxSlopeAngle, stepHeight, uphillSpeedFactor, downhillSpeedFactor, slideFriction])
+
+  // Read when the controls are (re)made, so a respawn keeps the mode it was in
+  const modeRef = useRef(mode)
+
+  useEffect(() => {
+    if (!world) return
+    const controls = createCameraControls({
+      world,
+      camera,
+      scene,
+      domElement,
+      mode: modeRef.current,
+      spawn: { x: spawnX, z: spawnZ },
+      tuning: tuningRef.current,
+      restore,
+      onSprintStateChange,
+      onModeChange
+    })
+    controlsRef.current = controls
+    return () => {
+      modeRef.current = controls.mode
+      controlsRef.current = null
+      controls.dispose()
+    }
+  }, [world, camera, scene, domElement, spawnX, spawnZ, restore, onSprintStateChange, onModeChange])
+
+  useEffect(() => {
+    modeRef.current = mode
+    if (controlsRef.current) controlsRef.current.setMode(mode)
+  }, [mode])
+
+  return null
+}
@@ -0,0 +1,90 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { createSky, DEFAULT_SKY } from '../Sky.js'
+
+// Day/night sky for the scene: sun, moon, lights, procedural sky blended
+// with the HDR, fog and cascaded sun shadows (see DEFAULT_SKY). Changing
+// timeOfDay, timeScale or the fog distances updates the sky without rebuilding it;
+// onSkyReady gets the sky for driving it from game code.
+export default function Sky({
+  timeOfDay = DEFAULT_SKY.timeOfDay,
+  timeScale = DEFAULT_SKY.timeScale,
+  latitude = DEFAULT_SKY.latitude,
+  hdrUrl = DEFAULT_SKY.hdrUrl,
+  hdrBlend = DEFAULT_SKY.hdrBlend,
+  fogNear = DEFAULT_SKY.fogNear,
+  fogFar = DEFAULT_SKY.fogFar,
+  sunIntensity = DEFAULT_SKY.sunIntensity,
+  moonIntensity = DEFAULT_SKY.moonIntensity,
+  shadowCascades = DEFAULT_SKY.shadowCascades,
+  // Far edge of each cascade (m), e.g. [20, 80, 300]
+  shadowSplits = DEFAULT_SKY.shadowSplits,
+  shadowDistance = DEFAULT_SKY.shadowDistance,
+  shadowMapSize = DEFAULT_SKY.shadowMapSize,
+  skyResolution = DEFAULT_SKY.skyResolution,
+  onSkyReady
+}) {
+  const scene = useThree((state) => state.scene)
+  const gl = useThree((state) => state.gl)
+  const camera = useThree((state) => state.camera)
+  // Compared by value, so an inline array doesn't rebuild the sky every render
+  const shadowSplitsKey = shadowSplits ? shadowSplits.join(',') : ''
+  const [sky, setSky] = useState(null)
+  // Read when the sky is (re)built, so the clock carries on from where it was
+  const clockRef = useRef({ timeOfDay, timeScale })
+  // Props last pushed to the sky; only a changed prop resets its clock
+  const appliedRef = useRef({ timeOfDay, timeScale })
+  // Fog the sky is built with; later changes go through setFog
+  const fogRef = useRef({ fogNear, fogFar })
+  fogRef.current = { fogNear, fogFar }
+
+  useEffect(() => {
+    const next = createSky({
+      scene,
+      camera,
+      renderer: gl,
+      ...clockRef.current,
+      latitude,
+      hdrUrl,
+      hdrBlend,
+      ...fogRef.current,
+      sunIntensity,
+      moonIntensity,
+      shadowCascades,
+      shadowSplits: shadowSplitsKey ? shadowSplitsKey.split(',').map(Number) : null,
+      shadowDistance,
+      shadowMapSize,
+      skyResolution
+    })
+    setSky(next)
+    if (onSkyReady) onSkyReady(next)
+    return () => {
+      clockRef.current = { timeOfDay: next.getTimeOfDay(), timeScale: next.timeScale }
+      if (onSkyReady) onSkyReady(null)
+      next.dispose()
+    }
+  }, [scene, camera, gl, latitude, hdrUrl, hdrBlend, sunIntensity, moonIntensity,
+    shadowCascades, shadowSplitsKey, shadowDistance, shadowMapSize, skyResolution, onSkyReady])
+
+  useEffect(() => {
+    if (!sky || appliedRef.current.timeOfDay === timeOfDay) return
+    appliedRef.current.timeOfDay = timeOfDay
+    sky.setTimeOfDay(timeOfDay)
+  }, [sky, timeOfDay])
+
+  useEffect(() => {
+    if (!sky || appliedRef.current.timeScale === timeScale) return
+    appliedRef.current.timeScale = timeScale
+    sky.setTimeScale(timeScale)
+  }, [sky, timeScale])
+
+  useEffect(() => {
+    if (sky) sky.setFog(fogNear, fogFar)
+  }, [sky, fogNear, fogFar])
+
+  useFrame((state, delta) => {
+    if (sky) sky.update(delta)
+  })
+
+  return null
+}
@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { TerrainWorld } from '../TerrainWorld.js'
+import { getWorldSeed } from '../Random.js'
+import { WATER_LEVEL } from '../Water.js'
+import { TerrainWorldContext } from './TerrainContext.js'
+
+// Longest frame we simulate; anything slower (e.g. a background tab) is dropped
+const MAX_FRAME_SECONDS = 0.25
+
+// Runs a TerrainWorld inside a <Canvas> and ticks it every frame. Draws
+// nothing itself: put <TerrainChunks>, <Player> or your own
+// components (useTerrainWorld) inside it.
+export default function Terrain({
+  // World seed; defaults to ?seed= (or a random one written back to the URL)
+  seed,
+  waterLevel = WATER_LEVEL,
+  // Erosion settings (see DEFAULT_EROSION), or null to skip erosion
+  erosion = null,
+  // Imported heightmap (see parseHeightmap), or null for the generator alone
+  heightmap = null,
+  // Pre-baked tiles (see loadTileSource); chunks the set has are streamed instead of generated
+  tiles = null,
+  // Sculpted edits to start from, e.g. a save's (see readSave)
+  edits = null,
+  workerCount,
+  // Memory for generated chunks kept after they unload, see createChunkCache
+  cacheBytes,
+  // Also keep generated chunks in IndexedDB across page loads
+  persistentCache = false,
+  // Main-thread time per frame for adding finished chunks (ms), see createChunkScheduler
+  streamingBudget,
+  // Called with the world once it exists (and null when it goes), for code outside the Canvas
+  onWorldReady,
+  children
+}) {
+  const [defaultSeed] = useState(() => (seed === undefined || seed === null ? getWorldSeed() : null))
+  const worldSeed = seed === undefined || seed === null ? defaultSeed : seed
+  const [world, setWorld] = useState(null)
+
+  useEffect(() => {
+    const next = new TerrainWorld({
+      seed: worldSeed,
+      waterLevel,
+      erosion,
+      heightmap,
+      tiles,
+      edits,
+      workerCount,
+      cacheBytes,
+      persistentCache,
+      streamingBudget
+    })
+    setWorld(next)
+    if (onWorldReady) onWorldReady(next)
+    return () => {
+      if (onWorldReady) onWorldReady(null)
+      next.dispose()
+    }
+  }, [worldSeed, waterLevel, erosion, heightmap, tiles, edits, workerCount, cacheBytes, persistentCache, streamingBudget, onWorldReady])
+
+  useFrame((state, delta) => {
+    if (world) world.update(Math.min(MAX_FRAME_SECONDS, delta))
+  })
+
+  return <TerrainWorldContext.Provider value={world}>{children}</TerrainWorldContext.Provider>
+}
@@ -0,0 +1,17 @@
+import { useEffect } from 'react'
+import { createAutosaver, createSave, AUTOSAVE_INTERVAL } from '../WorldSave.js'
+import { useTerrainWorld } from './TerrainContext.js'
+
+// Keeps the surrounding <Terrain> autosaved to IndexedDB. source is what the
+// world was made from that it doesn't keep itself, see createSave.
+export default function TerrainAutosave({ source = null, interval = AUTOSAVE_INTERVAL }) {
+  const world = useTerrainWorld()
+
+  useEffect(() => {
+    if (!world) return
+    const autosaver = createAutosaver({ world, getSave: () => createSave(world, source || {}), interval })
+    return () => autosaver.dispose()
+  }, [world, source, interval])
+
+  return null
+}
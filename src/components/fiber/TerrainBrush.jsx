@@ -0,0 +1,21 @@
+import { useEffect } from 'react'
+import { useThree } from '@react-three/fiber'
+import { createTerrainBrush } from '../TerrainBrush.js'
+import { useTerrainWorld } from './TerrainContext.js'
+
+// Sculpting and painting brush for the surrounding <Terrain>, aimed from the
+// camera: B toggles it, 1-5 pick the tool, [ ] size it, left mouse applies it
+export default function TerrainBrush({ tool = 'raise', radius = 6, onBrushChange }) {
+  const world = useTerrainWorld()
+  const scene = useThree((state) => state.scene)
+  const camera = useThree((state) => state.camera)
+  const domElement = useThree((state) => state.gl.domElement)
+
+  useEffect(() => {
+    if (!world) return
+    const brush = createTerrainBrush({ world, camera, scene, domElement, tool, radius, onChange: onBrushChange })
+    return () => brush.dispose()
+  }, [world, camera, scene, domElement, tool, radius, onBrushChange])
+
+  return null
+}
@@ -0,0 +1,19 @@
+import { useEffect } from 'react'
+import { useThree } from '@react-three/fiber'
+import { createChunkRenderer } from '../ChunkRenderer.js'
+import { useTerrainWorld } from './TerrainContext.js'
+
+// Draws the surrounding <Terrain>'s chunks: ground, grass, props and water
+export default function TerrainChunks() {
+  const world = useTerrainWorld()
+  const scene = useThree((state) => state.scene)
+  const camera = useThree((state) => state.camera)
+
+  useEffect(() => {
+    if (!world) return
+    const renderer = createChunkRenderer({ world, scene, camera })
+    return () => renderer.dispose()
+  }, [world, scene, camera])
+
+  return null
+}
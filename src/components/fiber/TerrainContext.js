@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react'
+
+// The TerrainWorld a <Terrain> runs, for the components inside it
+export const TerrainWorldContext = createContext(null)
+
+// The surrounding <Terrain>'s world, or null until it has been created
+export function useTerrainWorld() {
+  return useContext(TerrainWorldContext)
+}
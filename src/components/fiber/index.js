@@ -0,0 +1,20 @@
+// react-three-fiber components for the terrain, to use inside a <Canvas>:
+//
+//   <Canvas shadows>
+//     <Sky />
+//     <Terrain seed={42}>
+//       <TerrainChunks />
+//       <Player />
+//       <TerrainBrush />
+//       <TerrainAutosave />
+//     </Terrain>
+//   </Canvas>
+export { default as Terrain } from './Terrain.jsx'
+export { default as TerrainChunks } from './TerrainChunks.jsx'
+export { default as Player } from './Player.jsx'
+// The name <Player> had before it got camera modes
+export { default as FirstPersonPlayer } from './Player.jsx'
+export { default as TerrainBrush } from './TerrainBrush.jsx'
+export { default as TerrainAutosave } from './TerrainAutosave.jsx'
+export { default as Sky } from './Sky.jsx'
+export { TerrainWorldContext, useTerrainWorld } from './TerrainContext.js'